@@ -0,0 +1,176 @@
+/**
+ * Bot player
+ * A headless player that joins a room over Socket.IO with the same events as the player page
+ * (join-room, submit-category, submit-exemplar, submit-votes) and plays on its own, taking what to
+ * submit and when from a strategy (see bot-strategies.js). The server adds bots to a room from the
+ * lobby (add-bots); scripts/bots.js launches them against any server for load tests.
+ *
+ * A bot joins with a token: the server issues one to each bot it adds, and scripts/bots.js passes a
+ * research token. Only a join with a token the server accepts is flagged is_bot in the players
+ * table, for analyses to leave out; without one the bot plays as an ordinary player.
+ */
+
+const { io: connect } = require('socket.io-client');
+const { systemClock } = require('./clock');
+const { createStrategy } = require('./bot-strategies');
+
+class BotPlayer {
+    /**
+     * url              server to connect to
+     * roomCode         room to join
+     * nickname         name shown to the other players
+     * strategy         see bot-strategies.js (random)
+     * suggestCategory  whether to suggest a category in the lobby (true)
+     * token            marks the player as a bot (see above); none joins as an ordinary player
+     * clock            times the bot's thinking delays (real time)
+     */
+    constructor({ url, roomCode, nickname, strategy = createStrategy(), suggestCategory = true, token = null, clock = systemClock, logger = console }) {
+        this.url = url;
+        this.roomCode = roomCode;
+        this.nickname = nickname;
+        this.strategy = strategy;
+        this.suggestCategory = suggestCategory;
+        this.token = token;
+        this.clock = clock;
+        this.logger = logger;
+        this.socket = null;
+        this.playerId = null;
+        this.state = null;
+        this.paused = false;
+        // Actions already taken, keyed by phase, round and category; a skipped round reuses its number
+        this.done = new Set();
+        this.pending = null;
+    }
+
+    /**
+     * Connect and join the room; resolves with the bot once the server accepts it
+     */
+    join() {
+        this.socket = connect(this.url, { transports: ['websocket'], forceNew: true });
+
+        this.socket.on('game-state-update', state => {
+            this.state = state;
+            this.paused = !!state.isPaused;
+            this.act();
+        });
+        this.socket.on('game-paused', () => {
+            this.paused = true;
+        });
+        this.socket.on('game-resumed', () => {
+            this.paused = false;
+            this.act();
+        });
+        this.socket.on('error', ({ message } = {}) => {
+            this.logger.warn(`Bot ${this.nickname} in room ${this.roomCode}: ${message}`);
+        });
+        // The session is over; there is nothing left to play
+        this.socket.on('host-disconnected', () => this.close());
+        this.socket.on('game-ended', () => this.close());
+
+        return new Promise((resolve, reject) => {
+            this.socket.once('join-success', ({ playerId }) => {
+                this.playerId = playerId;
+                // Pick the same player up again after a dropped connection
+                this.socket.io.on('reconnect', () => {
+                    this.socket.emit('reconnect-player', { roomCode: this.roomCode, playerId: this.playerId });
+                });
+                resolve(this);
+            });
+            this.socket.once('join-error', ({ message }) => {
+                this.close();
+                reject(new Error(`Bot ${this.nickname} could not join room ${this.roomCode}: ${message}`));
+            });
+            this.socket.once('connect_error', error => {
+                if (this.playerId) return;
+                this.close();
+                reject(new Error(`Bot ${this.nickname} could not connect to ${this.url}: ${error.message}`));
+            });
+            this.socket.emit('join-room', { roomCode: this.roomCode, nickname: this.nickname, botToken: this.token });
+        });
+    }
+
+    // The action the current state calls for, if the bot has not taken it yet
+    nextAction() {
+        const state = this.state;
+        if (!state || this.paused) return null;
+
+        let action = null;
+        if (state.gameState === 'lobby' && this.suggestCategory) {
+            action = { key: 'category', run: () => this.submitCategory() };
+        } else if (state.gameState === 'submitting' && !this.waitsForCaptain(state)) {
+            action = { key: `exemplar:${state.round}:${state.currentCategory}`, run: seenAt => this.submitExemplar(state, seenAt) };
+        } else if (state.gameState === 'voting' && state.submissions) {
+            action = { key: `votes:${state.round}:${state.currentCategory}`, run: seenAt => this.submitVotes(state, seenAt) };
+        }
+        return action && !this.done.has(action.key) ? action : null;
+    }
+
+    // Take the next action after the strategy's thinking time, unless the game has moved on by then
+    act() {
+        const action = this.nextAction();
+        if (!action || (this.pending && this.pending.key === action.key)) return;
+
+        this.cancelPending();
+        const seenAt = this.clock.now();
+        const handle = this.clock.setTimeout(() => {
+            this.pending = null;
+            const current = this.nextAction();
+            if (!current || current.key !== action.key) return;
+            this.done.add(current.key);
+            current.run(seenAt);
+        }, this.strategy.delayMs(this.state.gameState));
+        this.pending = { key: action.key, handle };
+    }
+
+    cancelPending() {
+        if (this.pending) {
+            this.clock.clearTimeout(this.pending.handle);
+            this.pending = null;
+        }
+    }
+
+    submitCategory() {
+        const category = this.strategy.category();
+        if (category) {
+            this.socket.emit('submit-category', { category });
+        }
+    }
+
+    // In a captain team only the captain submits
+    waitsForCaptain(state) {
+        return !!state.team && state.team.mode === 'captain' && !state.team.isCaptain;
+    }
+
+    // In a voting team the bot backs the first thing a teammate proposed, so the team agrees
+    submitExemplar(state, seenAt) {
+        const proposals = state.team && state.team.proposals;
+        this.socket.emit('submit-exemplar', {
+            exemplar: proposals && proposals.length > 0 ? proposals[0].exemplar : this.strategy.exemplar(state.currentCategory),
+            ...this.clientTiming(seenAt)
+        });
+    }
+
+    submitVotes(state, seenAt) {
+        const votes = {};
+        state.submissions.forEach(item => {
+            votes[item.index] = this.strategy.vote(item, { scale: state.ratingScale, allowAbstain: state.allowAbstain });
+        });
+        this.socket.emit('submit-votes', { votes, ...this.clientTiming(seenAt) });
+    }
+
+    // When the bot saw the phase and when it answered, as the player page reports them
+    clientTiming(seenAt) {
+        return { clientPhaseStartedAt: seenAt, clientSubmittedAt: this.clock.now() };
+    }
+
+    close() {
+        this.cancelPending();
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
+
+module.exports = {
+    BotPlayer
+};
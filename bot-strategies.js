@@ -0,0 +1,125 @@
+/**
+ * Bot strategies
+ * A strategy decides what a bot player (see bot-player.js) submits and how long it takes:
+ *   category()                            a category to suggest in the lobby, or null for none
+ *   exemplar(category)                    the exemplar to submit for a round's category
+ *   vote(item, { scale, allowAbstain })   a ballot entry: true/false, a rating on scale, or 'abstain'
+ *   delayMs(phase)                        thinking time before acting in 'lobby', 'submitting' or 'voting'
+ * Each named strategy starts from the random one and replaces only the choices it is about.
+ */
+
+const ABSTAIN = 'abstain';
+
+// Exemplars for the preset categories; anything else falls back to the pool of every word
+const WORD_LISTS = {
+    furniture: ['chair', 'table', 'sofa', 'bed', 'bookshelf', 'lamp', 'beanbag', 'hammock'],
+    tools: ['hammer', 'screwdriver', 'wrench', 'saw', 'pliers', 'spoon', 'paperclip', 'rock'],
+    games: ['chess', 'poker', 'tag', 'soccer', 'solitaire', 'charades', 'crossword', 'war'],
+    clothing: ['shirt', 'jeans', 'sock', 'hat', 'scarf', 'watch', 'backpack', 'towel'],
+    vehicles: ['car', 'bus', 'bicycle', 'train', 'skateboard', 'elevator', 'horse', 'wheelchair'],
+    food: ['apple', 'bread', 'pizza', 'soup', 'gum', 'ketchup', 'ice', 'vitamin'],
+    animals: ['dog', 'cat', 'eagle', 'shark', 'ant', 'coral', 'sponge', 'human'],
+    colors: ['red', 'blue', 'green', 'beige', 'gold', 'black', 'white', 'clear'],
+    sports: ['soccer', 'tennis', 'swimming', 'golf', 'chess', 'darts', 'fishing', 'yoga'],
+    music: ['guitar', 'piano', 'jazz', 'drum', 'whistle', 'birdsong', 'silence', 'karaoke'],
+    technology: ['computer', 'phone', 'robot', 'wheel', 'pencil', 'fire', 'calculator', 'clock'],
+    books: ['novel', 'dictionary', 'comic', 'cookbook', 'diary', 'menu', 'magazine', 'audiobook'],
+    drinks: ['water', 'coffee', 'tea', 'juice', 'milk', 'soup', 'smoothie', 'ice'],
+    toys: ['ball', 'doll', 'kite', 'yo-yo', 'lego', 'stick', 'box', 'puppy'],
+    plants: ['oak', 'rose', 'grass', 'cactus', 'moss', 'mushroom', 'seaweed', 'tomato'],
+    weather: ['rain', 'snow', 'wind', 'fog', 'sunshine', 'rainbow', 'earthquake', 'smog'],
+    emotions: ['joy', 'anger', 'fear', 'sadness', 'boredom', 'hunger', 'nostalgia', 'surprise'],
+    professions: ['doctor', 'teacher', 'farmer', 'pilot', 'artist', 'student', 'influencer', 'parent']
+};
+
+const ALL_WORDS = Array.from(new Set(Object.values(WORD_LISTS).flat()));
+
+function pick(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function randomInt(min, max, random) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+// A yes or no; on a rating scale, a rating from the upper or lower half
+function ballotEntry(yes, scale, random) {
+    if (!scale) return yes;
+    const middle = (scale.min + scale.max) / 2;
+    return yes
+        ? randomInt(Math.ceil(middle), scale.max, random)
+        : randomInt(scale.min, Math.floor(middle), random);
+}
+
+/**
+ * Suggests a preset category, submits any known word and votes at random
+ *   random        source of numbers in [0, 1) (Math.random)
+ *   minDelayMs, maxDelayMs   range of thinking time (0.5 to 4 seconds)
+ *   abstainProbability       chance of voting "not sure" where the room allows it (0)
+ */
+function randomStrategy({ random = Math.random, minDelayMs = 500, maxDelayMs = 4000, abstainProbability = 0 } = {}) {
+    return {
+        category: () => pick(Object.keys(WORD_LISTS), random),
+        exemplar: () => pick(ALL_WORDS, random),
+        vote: (item, { scale, allowAbstain }) => {
+            if (allowAbstain && random() < abstainProbability) return ABSTAIN;
+            return scale ? randomInt(scale.min, scale.max, random) : random() < 0.5;
+        },
+        delayMs: () => randomInt(minDelayMs, Math.max(minDelayMs, maxDelayMs), random)
+    };
+}
+
+/**
+ * Submits exemplars from a word list for the round's category
+ *   wordLists     { category: [exemplar, ...] }, matched case-insensitively (the preset lists)
+ */
+function wordListStrategy({ random = Math.random, wordLists = WORD_LISTS } = {}) {
+    const lists = new Map(Object.entries(wordLists).map(([category, words]) => [category.trim().toLowerCase(), words]));
+    const fallback = Array.from(new Set(Array.from(lists.values()).flat()));
+    if (fallback.length === 0) throw new Error('Word lists are empty');
+
+    return {
+        category: () => pick(Array.from(lists.keys()), random),
+        exemplar: category => {
+            const words = lists.get(String(category).trim().toLowerCase());
+            return pick(words && words.length > 0 ? words : fallback, random);
+        }
+    };
+}
+
+/**
+ * Accepts each exemplar with a fixed probability
+ *   yesProbability   chance of a yes (or an upper-half rating) for each exemplar, 0 to 1
+ */
+function voteProbabilityStrategy({ random = Math.random, yesProbability = 0.7 } = {}) {
+    if (typeof yesProbability !== 'number' || yesProbability < 0 || yesProbability > 1) {
+        throw new Error('yesProbability must be a number from 0 to 1');
+    }
+    return {
+        vote: (item, { scale }) => ballotEntry(random() < yesProbability, scale, random)
+    };
+}
+
+const STRATEGIES = {
+    random: randomStrategy,
+    'word-list': wordListStrategy,
+    'vote-probability': voteProbabilityStrategy
+};
+
+/**
+ * Build the named strategy; options are passed to it and to the random strategy it starts from.
+ * Throws on an unknown name or invalid options.
+ */
+function createStrategy(name = 'random', options = {}) {
+    if (!Object.prototype.hasOwnProperty.call(STRATEGIES, name)) {
+        throw new Error(`Unknown bot strategy "${name}"`);
+    }
+    return { name, ...randomStrategy(options), ...STRATEGIES[name](options) };
+}
+
+module.exports = {
+    ABSTAIN,
+    WORD_LISTS,
+    STRATEGIES,
+    createStrategy
+};
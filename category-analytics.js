@@ -0,0 +1,307 @@
+/**
+ * Category analytics
+ * Yes/no results across every finished game, by category:
+ *   yes-proportion      p = yes / (yes + no) for one exemplar in one round, counted from the
+ *                       votes people cast: abstentions, self-votes the room did not count and
+ *                       bots' votes are left out
+ *   split               1 - |2p - 1|: 1 when the room divided evenly, 0 when it was unanimous
+ *   boundary sharpness  mean |2p - 1| over every exemplar voted on in a category: 1 when each one
+ *                       was unanimously in or out, near 0 when the room kept dividing
+ *   consistent split    an exemplar's lowest split over its rounds, so only exemplars that divided
+ *                       the room every time they came up rank as controversial
+ * Duplicates merged into one voting item are one appearance. Rating rounds, skipped rounds and
+ * exemplars submitted by bots are left out too.
+ *
+ * Each finished game is folded into running totals in the database once (see
+ * migrations/017-category-analytics.js), as it finishes or on the next read, and the reports built
+ * from the totals are cached until another game is added.
+ */
+
+const exemplarMatching = require('./exemplar-matching');
+
+const CONTROVERSY_LIMITS = { limit: [1, 200], minAppearances: [1, 100] };
+const DEFAULT_CONTROVERSY_OPTIONS = { limit: 20, minAppearances: 2 };
+
+function round3(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Totals for one game's scored submissions ({ round_id, category, id, exemplar,
+ * normalized_exemplar, canonical_submission_id, yes_votes, no_votes }), by category and normalized
+ * exemplar. Every raw submission counts toward how often an exemplar was submitted; each voting
+ * item (a submission and the duplicates merged into it) is one appearance with the tally they share.
+ */
+function aggregateGame(rows) {
+    const exemplars = new Map();
+    const categoryRounds = new Map();
+    const countedItems = new Set();
+
+    for (const row of rows) {
+        const category = row.category.trim().toLowerCase();
+        const normalized = row.normalized_exemplar || exemplarMatching.normalizeExemplar(row.exemplar);
+        const key = `${category}\n${normalized}`;
+        if (!exemplars.has(key)) {
+            exemplars.set(key, {
+                category,
+                normalized,
+                exemplar: row.exemplar,
+                submissions: 0,
+                appearances: 0,
+                yesVotes: 0,
+                noVotes: 0,
+                yesProportionSum: 0,
+                decisivenessSum: 0,
+                minSplit: null
+            });
+        }
+        if (!categoryRounds.has(category)) categoryRounds.set(category, new Set());
+        categoryRounds.get(category).add(row.round_id);
+
+        const totals = exemplars.get(key);
+        totals.submissions++;
+
+        const itemId = row.canonical_submission_id || row.id;
+        if (countedItems.has(itemId)) continue;
+        countedItems.add(itemId);
+
+        const yesProportion = row.yes_votes / (row.yes_votes + row.no_votes);
+        const decisiveness = Math.abs(2 * yesProportion - 1);
+        totals.appearances++;
+        totals.yesVotes += row.yes_votes;
+        totals.noVotes += row.no_votes;
+        totals.yesProportionSum += yesProportion;
+        totals.decisivenessSum += decisiveness;
+        totals.minSplit = totals.minSplit === null ? 1 - decisiveness : Math.min(totals.minSplit, 1 - decisiveness);
+    }
+
+    return {
+        exemplars: Array.from(exemplars.values()),
+        categories: Array.from(categoryRounds, ([category, rounds]) => ({ category, rounds: rounds.size }))
+    };
+}
+
+function exemplarReport(row) {
+    return {
+        category: row.category,
+        exemplar: row.exemplar,
+        normalized: row.normalized_exemplar,
+        submissions: row.submissions,
+        appearances: row.appearances,
+        yesVotes: row.yes_votes,
+        noVotes: row.no_votes,
+        meanYesProportion: round3(row.yes_proportion_sum / row.appearances),
+        meanSplit: round3(1 - row.decisiveness_sum / row.appearances),
+        consistentSplit: round3(row.min_split)
+    };
+}
+
+// Reports from the stored totals: every category with its exemplars, most-played first, and every
+// exemplar on its own for the controversy ranking
+function buildReports(categoryRows, exemplarRows) {
+    const votedRows = exemplarRows.filter(row => row.appearances > 0);
+    const exemplars = votedRows.map(exemplarReport);
+
+    const byCategory = new Map(categoryRows.map(row => [row.category, {
+        category: row.category,
+        games: row.games,
+        rounds: row.rounds,
+        exemplarCount: 0,
+        submissions: 0,
+        sharpness: null,
+        exemplars: [],
+        appearances: 0,
+        decisivenessSum: 0
+    }]));
+    votedRows.forEach((row, i) => {
+        const category = byCategory.get(row.category);
+        if (!category) return;
+        category.exemplars.push(exemplars[i]);
+        category.exemplarCount++;
+        category.submissions += row.submissions;
+        category.appearances += row.appearances;
+        category.decisivenessSum += row.decisiveness_sum;
+    });
+
+    const categories = Array.from(byCategory.values()).map(({ appearances, decisivenessSum, ...category }) => {
+        category.sharpness = appearances > 0 ? round3(decisivenessSum / appearances) : null;
+        category.exemplars.sort((a, b) => b.submissions - a.submissions ||
+            b.meanYesProportion - a.meanYesProportion || a.exemplar.localeCompare(b.exemplar));
+        return category;
+    }).sort((a, b) => b.games - a.games || b.rounds - a.rounds || a.category.localeCompare(b.category));
+
+    return { categories, exemplars };
+}
+
+// Most consistently divisive first: highest lowest-split, then highest average split, then most rounds
+function compareControversy(a, b) {
+    return b.consistentSplit - a.consistentSplit || b.meanSplit - a.meanSplit || b.appearances - a.appearances;
+}
+
+/**
+ * Validate controversy query parameters (limit, min_appearances); returns { options } or { error }
+ */
+function parseControversyQuery(query) {
+    const options = { ...DEFAULT_CONTROVERSY_OPTIONS };
+    for (const [key, param] of [['limit', 'limit'], ['minAppearances', 'min_appearances']]) {
+        if (query[param] === undefined) continue;
+        const value = Number(query[param]);
+        const [min, max] = CONTROVERSY_LIMITS[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: `"${param}" must be a whole number from ${min} to ${max}` };
+        }
+        options[key] = value;
+    }
+    return { options };
+}
+
+class CategoryAnalytics {
+    /**
+     * Reads and writes through the game repository, so its transactions queue with the game's
+     */
+    constructor(repository, { logger = console } = {}) {
+        this.repository = repository;
+        this.logger = logger;
+        this.cache = null;
+        this.catchingUp = null;
+    }
+
+    /**
+     * Fold in every completed game not yet counted; resolves with how many were added. A call
+     * made while a pass is running shares it.
+     */
+    catchUp() {
+        if (!this.catchingUp) {
+            this.catchingUp = this.addPendingGames().finally(() => {
+                this.catchingUp = null;
+            });
+        }
+        return this.catchingUp;
+    }
+
+    async addPendingGames() {
+        const repo = this.repository;
+        const pending = await repo.exclusive(() => repo.all(`SELECT g.id FROM games g
+            LEFT JOIN analytics_games a ON a.game_id = g.id
+            WHERE g.status = 'completed' AND a.game_id IS NULL ORDER BY g.id`));
+
+        let added = 0;
+        for (const { id } of pending) {
+            if (await this.addGame(id)) added++;
+        }
+        if (added > 0) {
+            this.logger.log(`Analytics: ${added} finished game(s) added`);
+        }
+        return added;
+    }
+
+    // Add one game to the totals in one transaction; resolves false if it was already counted
+    addGame(gameId) {
+        const repo = this.repository;
+        return repo.logged('updating category analytics', () => repo.transaction(async () => {
+            const updatedAt = repo.timestamp();
+            // Instances sharing the database may race to add the same game; only one insert lands
+            const { changes } = await repo.run('INSERT OR IGNORE INTO analytics_games (game_id, ingested_at) VALUES (?, ?)', [gameId, updatedAt]);
+            if (changes === 0) return false;
+
+            // Scored submissions (yes_votes is set only on binary-vote items that were scored), each
+            // with its item's tally recounted without bots' votes; votes are stored against the
+            // item's first submission
+            const rows = await repo.all(`SELECT r.id AS round_id, r.category, s.id, s.exemplar, s.normalized_exemplar,
+                    s.canonical_submission_id, tally.yes_votes, tally.no_votes
+                FROM submissions s
+                JOIN rounds r ON s.round_id = r.id
+                JOIN players p ON s.player_id = p.id
+                JOIN (
+                    SELECT v.submission_id, SUM(v.vote = 1) AS yes_votes, SUM(v.vote = 0) AS no_votes
+                    FROM votes v
+                    JOIN players voter ON v.voter_player_id = voter.id
+                    JOIN games g ON voter.game_id = g.id
+                    WHERE g.id = ? AND COALESCE(voter.is_bot, 0) = 0
+                        AND COALESCE(v.abstained, 0) = 0 AND v.vote IS NOT NULL
+                        AND (COALESCE(g.self_vote_policy, 'include') IN ('include', 'auto') OR COALESCE(v.is_self_vote, 0) = 0)
+                    GROUP BY v.submission_id
+                ) tally ON tally.submission_id = COALESCE(s.canonical_submission_id, s.id)
+                WHERE r.game_id = ? AND r.skipped_at IS NULL AND COALESCE(p.is_bot, 0) = 0
+                    AND s.yes_votes IS NOT NULL AND tally.yes_votes + tally.no_votes > 0
+                ORDER BY s.id`, [gameId, gameId]);
+            const { exemplars, categories } = aggregateGame(rows);
+
+            for (const { category, rounds } of categories) {
+                await repo.run(`INSERT INTO analytics_categories (category, games, rounds, updated_at) VALUES (?, 1, ?, ?)
+                    ON CONFLICT (category) DO UPDATE SET
+                        games = games + 1, rounds = rounds + excluded.rounds, updated_at = excluded.updated_at`,
+                [category, rounds, updatedAt]);
+            }
+            for (const totals of exemplars) {
+                await repo.run(`INSERT INTO analytics_exemplars (category, normalized_exemplar, exemplar, submissions, appearances,
+                        yes_votes, no_votes, yes_proportion_sum, decisiveness_sum, min_split, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    ON CONFLICT (category, normalized_exemplar) DO UPDATE SET
+                        submissions = submissions + excluded.submissions,
+                        appearances = appearances + excluded.appearances,
+                        yes_votes = yes_votes + excluded.yes_votes,
+                        no_votes = no_votes + excluded.no_votes,
+                        yes_proportion_sum = yes_proportion_sum + excluded.yes_proportion_sum,
+                        decisiveness_sum = decisiveness_sum + excluded.decisiveness_sum,
+                        min_split = MIN(COALESCE(min_split, excluded.min_split), COALESCE(excluded.min_split, min_split)),
+                        updated_at = excluded.updated_at`,
+                [totals.category, totals.normalized, totals.exemplar, totals.submissions, totals.appearances,
+                    totals.yesVotes, totals.noVotes, totals.yesProportionSum, totals.decisivenessSum, totals.minSplit, updatedAt]);
+            }
+            this.logger.log(`DB: Game ${gameId} added to category analytics (${categories.length} categories, ${exemplars.length} exemplars)`);
+            return true;
+        }));
+    }
+
+    // The reports, rebuilt only when the counted games have changed, here or on another instance
+    async reports() {
+        await this.catchUp();
+
+        const repo = this.repository;
+        const { games, lastGameId } = await repo.exclusive(() =>
+            repo.get('SELECT COUNT(*) AS games, MAX(game_id) AS lastGameId FROM analytics_games'));
+        const version = `${games}:${lastGameId}`;
+
+        if (!this.cache || this.cache.version !== version) {
+            const [categoryRows, exemplarRows] = await repo.exclusive(async () => [
+                await repo.all('SELECT * FROM analytics_categories'),
+                await repo.all('SELECT * FROM analytics_exemplars ORDER BY category, normalized_exemplar')
+            ]);
+            this.cache = { version, gamesIncluded: games, generatedAt: repo.timestamp(), ...buildReports(categoryRows, exemplarRows) };
+        }
+        return this.cache;
+    }
+
+    /**
+     * Every category across all finished games with its exemplars: how often each was submitted,
+     * its average yes-proportion and split, and the category's boundary sharpness
+     */
+    async categories() {
+        const { gamesIncluded, generatedAt, categories } = await this.reports();
+        return { gamesIncluded, generatedAt, categories };
+    }
+
+    /**
+     * The exemplars that split the room most consistently, from every category
+     *   limit            how many to list (20)
+     *   minAppearances   rounds an exemplar must have been voted on in to be ranked (2)
+     */
+    async controversial({ limit, minAppearances } = DEFAULT_CONTROVERSY_OPTIONS) {
+        const { gamesIncluded, generatedAt, exemplars } = await this.reports();
+        return {
+            gamesIncluded,
+            generatedAt,
+            minAppearances,
+            exemplars: exemplars
+                .filter(exemplar => exemplar.appearances >= minAppearances)
+                .sort(compareControversy)
+                .slice(0, limit)
+        };
+    }
+}
+
+module.exports = {
+    CategoryAnalytics,
+    parseControversyQuery
+};
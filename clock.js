@@ -0,0 +1,138 @@
+/**
+ * Game clock
+ * Everything the game times — phase countdowns, the results sequence, grace periods, response
+ * times — reads the time and sets timers through a clock, so the same code runs against real time
+ * in production and against a FakeClock that a test moves forward by hand:
+ *
+ *   const clock = new FakeClock();
+ *   const gameServer = createGameServer({ clock, ... });
+ *   ...
+ *   await clock.advance(90 * 1000);   // runs every timer due in the next 90s, in order
+ *
+ * test/full-game.test.js plays a whole game this way. Both have the shape of the timer globals:
+ * now(), setTimeout, clearTimeout, setInterval and clearInterval. Either clear works on either
+ * kind of handle.
+ */
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delayMs) => setTimeout(callback, delayMs),
+    clearTimeout: handle => clearTimeout(handle),
+    setInterval: (callback, intervalMs) => setInterval(callback, intervalMs),
+    clearInterval: handle => clearInterval(handle)
+};
+
+// Let callbacks queued by a timer (database writes, socket messages) run before the next one fires
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * A clock that only moves when told to. Timers fire in due order (ties in the order they were
+ * set), with the real event loop given a turn after each, so promise chains and I/O a timer
+ * starts can schedule further timers inside the same advance().
+ */
+class FakeClock {
+    constructor(startMs = Date.now()) {
+        this.time = startMs;
+        this.timers = new Map();
+        this.nextHandle = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delayMs = 0) {
+        return this.addTimer(callback, delayMs, null);
+    }
+
+    setInterval(callback, intervalMs) {
+        return this.addTimer(callback, intervalMs, Math.max(1, intervalMs));
+    }
+
+    clearTimeout(handle) {
+        this.timers.delete(handle);
+    }
+
+    clearInterval(handle) {
+        this.timers.delete(handle);
+    }
+
+    addTimer(callback, delayMs, intervalMs) {
+        const handle = this.nextHandle++;
+        this.timers.set(handle, { callback, dueAt: this.time + Math.max(0, delayMs || 0), intervalMs });
+        return handle;
+    }
+
+    // Timers not yet fired or cleared
+    get pendingCount() {
+        return this.timers.size;
+    }
+
+    // The handle of the timer due first, at or before limitMs; null if there is none
+    nextDue(limitMs = Infinity) {
+        let next = null;
+        for (const [handle, timer] of this.timers) {
+            if (timer.dueAt > limitMs) continue;
+            // Map order is insertion order, so the first of equal due times was set first
+            if (next === null || timer.dueAt < this.timers.get(next).dueAt) next = handle;
+        }
+        return next;
+    }
+
+    async fire(handle) {
+        const timer = this.timers.get(handle);
+        this.time = Math.max(this.time, timer.dueAt);
+        if (timer.intervalMs) {
+            // Re-queued behind timers already due at the new time
+            this.timers.delete(handle);
+            timer.dueAt += timer.intervalMs;
+            this.timers.set(handle, timer);
+        } else {
+            this.timers.delete(handle);
+        }
+        timer.callback();
+        await yieldToEventLoop();
+    }
+
+    /**
+     * Move time forward by ms, firing every timer that comes due on the way
+     */
+    async advance(ms) {
+        const target = this.time + ms;
+        await yieldToEventLoop();
+        let handle;
+        while ((handle = this.nextDue(target)) !== null) {
+            await this.fire(handle);
+        }
+        this.time = target;
+    }
+
+    /**
+     * Fire the next timer, however far away it is; resolves false if none is pending
+     */
+    async next() {
+        await yieldToEventLoop();
+        const handle = this.nextDue();
+        if (handle === null) return false;
+        await this.fire(handle);
+        return true;
+    }
+
+    /**
+     * Fire timers until none are left. Intervals keep re-arming, so this gives up after limit
+     * timers rather than running forever.
+     */
+    async runAll(limit = 10000) {
+        for (let fired = 0; fired < limit; fired++) {
+            if (!(await this.next())) return fired;
+        }
+        throw new Error(`Timers still pending after ${limit} fired`);
+    }
+}
+
+module.exports = {
+    systemClock,
+    FakeClock
+};
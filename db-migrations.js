@@ -0,0 +1,164 @@
+/**
+ * Versioned schema migrations
+ * Each file in migrations/ is named <version>-<name>.js and exports up(db, logger), which returns a
+ * promise. Pending migrations run in version order, each inside its own transaction together with
+ * the schema_migrations row that records it, so a failed migration leaves nothing behind.
+ *
+ * A migration that rebuilds a table other tables reference exports foreignKeys: false; foreign
+ * keys are switched off around its transaction, since SQLite ignores the pragma inside one.
+ * Applied migrations are never edited; change the schema by adding the next numbered file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, err => err ? reject(err) : resolve());
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+/**
+ * The migration files, ordered by version; throws on a misnamed file or a repeated version
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(directory)
+        .filter(file => file.endsWith('.js'))
+        .map(file => {
+            const match = file.match(FILE_PATTERN);
+            if (!match) throw new Error(`Migration file ${file} is not named <version>-<name>.js`);
+            const migration = require(path.join(directory, file));
+            if (typeof migration.up !== 'function') throw new Error(`Migration ${file} does not export up(db)`);
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file: path.basename(file, '.js'),
+                up: migration.up,
+                foreignKeys: migration.foreignKeys !== false
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new Error(`Two migrations share version ${migration.version}`);
+        }
+    });
+    return migrations;
+}
+
+function ensureMigrationsTable(db) {
+    return exec(db, `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME NOT NULL
+        );
+    `);
+}
+
+/**
+ * Every known migration with when it was applied (null if pending), plus any recorded version
+ * whose file is missing; resolves with [{ version, name, appliedAt, missing }]
+ */
+async function migrationStatus(db, migrations = loadMigrations()) {
+    await ensureMigrationsTable(db);
+    const applied = await all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const known = new Set(migrations.map(m => m.version));
+
+    return migrations
+        .map(({ version, name }) => ({
+            version,
+            name,
+            appliedAt: appliedByVersion.has(version) ? appliedByVersion.get(version).applied_at : null,
+            missing: false
+        }))
+        .concat(applied
+            .filter(row => !known.has(row.version))
+            .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true })))
+        .sort((a, b) => a.version - b.version);
+}
+
+// Run one migration and record it in a single transaction; false if it was applied meanwhile
+async function applyMigration(db, migration, logger) {
+    const restoreForeignKeys = !migration.foreignKeys && (await get(db, 'PRAGMA foreign_keys')).foreign_keys;
+    if (!migration.foreignKeys) await exec(db, 'PRAGMA foreign_keys = OFF');
+
+    try {
+        // IMMEDIATE takes the write lock first, so another process cannot apply it at the same time
+        await exec(db, 'BEGIN IMMEDIATE');
+        try {
+            if (await get(db, 'SELECT 1 FROM schema_migrations WHERE version = ?', [migration.version])) {
+                await exec(db, 'ROLLBACK');
+                return false;
+            }
+            await migration.up(db, logger);
+            await run(db, 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]);
+            await exec(db, 'COMMIT');
+            return true;
+        } catch (error) {
+            await exec(db, 'ROLLBACK').catch(() => {});
+            throw error;
+        }
+    } finally {
+        if (restoreForeignKeys) await exec(db, 'PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * Apply every pending migration in order; resolves with the migrations applied
+ */
+async function runMigrations(db, { migrations = loadMigrations(), logger = console } = {}) {
+    const status = await migrationStatus(db, migrations);
+    const pending = migrations.filter(m => !status.find(s => s.version === m.version).appliedAt);
+
+    const applied = [];
+    for (const migration of pending) {
+        logger.log(`Migrating database: ${migration.file}...`);
+        try {
+            if (await applyMigration(db, migration, logger)) applied.push(migration);
+        } catch (error) {
+            logger.error(`Migration ${migration.file} failed:`, error.message);
+            throw error;
+        }
+        logger.log(`Migration complete: ${migration.file}`);
+    }
+    return applied;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    exec,
+    run,
+    get,
+    all,
+    loadMigrations,
+    migrationStatus,
+    runMigrations
+};
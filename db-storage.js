@@ -1,131 +1,279 @@
 /**
- * Database storage helper for Cloud Storage persistence
- * Syncs SQLite database file to/from Google Cloud Storage
+ * Database storage helper for backup persistence
+ * Syncs SQLite database snapshots to/from a storage backend (see storage-backends.js).
+ * Each upload is a consistent copy made with VACUUM INTO and integrity-checked, stored under a
+ * timestamped name; the newest DB_SNAPSHOT_KEEP snapshots are kept.
  */
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const sqlite3 = require('sqlite3');
+const storageBackends = require('./storage-backends');
 
-let storage = null;
-let bucket = null;
+// Name the database was uploaded under before snapshots were versioned; restored only as a last resort
+const LEGACY_FILE_NAME = 'game_data.db';
+const SNAPSHOT_PREFIX = 'snapshots/game_data-';
 
-// Initialize Cloud Storage if credentials are available
-function initStorage() {
-    if (process.env.GOOGLE_CLOUD_PROJECT || process.env.GCS_BUCKET) {
-        try {
-            // Try to require @google-cloud/storage (may not be available in local dev)
-            const { Storage } = require('@google-cloud/storage');
-            storage = new Storage();
-            const bucketName = process.env.GCS_BUCKET || `${process.env.GOOGLE_CLOUD_PROJECT}-category-game-db`;
-            bucket = storage.bucket(bucketName);
-            console.log(`Cloud Storage initialized with bucket: ${bucketName}`);
-            return true;
-        } catch (error) {
-            // Silently fail if @google-cloud/storage is not available (local development)
-            if (error.code === 'MODULE_NOT_FOUND') {
-                console.log('Cloud Storage module not found, using local storage only (local development mode)');
-            } else {
-                console.warn('Cloud Storage initialization failed, using local storage only:', error.message);
-            }
-            return false;
-        }
-    }
-    return false;
+// Uploaded snapshots to keep; older ones are deleted after each upload
+const SNAPSHOT_KEEP = parseInt(process.env.DB_SNAPSHOT_KEEP, 10) || 10;
+
+/**
+ * Check a database file with PRAGMA integrity_check; rejects if it is not sound
+ */
+function checkIntegrity(filePath) {
+    return new Promise((resolve, reject) => {
+        const checkDb = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, err => {
+            if (err) return reject(err);
+            checkDb.all('PRAGMA integrity_check', (err, rows) => {
+                checkDb.close();
+                if (err) return reject(err);
+                const problems = rows.map(row => row.integrity_check).filter(result => result !== 'ok');
+                if (problems.length > 0) {
+                    return reject(new Error(`Integrity check failed: ${problems.slice(0, 3).join('; ')}`));
+                }
+                resolve();
+            });
+        });
+    });
 }
 
 /**
- * Download database from Cloud Storage if it exists
+ * Write a consistent copy of the open database to a temp file and check it; resolves with the
+ * file's path. VACUUM INTO reads inside one transaction, so writes made meanwhile cannot tear it.
  */
-async function downloadDatabase(localPath) {
-    if (!bucket) return false;
-    
+async function createSnapshot(db) {
+    const snapshotPath = path.join(os.tmpdir(), `category-game-snapshot-${process.pid}-${Date.now()}.db`);
     try {
-        const fileName = 'game_data.db';
-        const file = bucket.file(fileName);
-        
-        const [exists] = await file.exists();
-        if (!exists) {
-            console.log('No existing database found in Cloud Storage');
-            return false;
-        }
-        
-        await file.download({ destination: localPath });
-        console.log(`Database downloaded from Cloud Storage to ${localPath}`);
-        return true;
+        await new Promise((resolve, reject) => {
+            db.run('VACUUM INTO ?', [snapshotPath], err => err ? reject(err) : resolve());
+        });
+        await checkIntegrity(snapshotPath);
+        return snapshotPath;
     } catch (error) {
-        console.warn('Failed to download database from Cloud Storage:', error.message);
-        return false;
+        await fs.rm(snapshotPath, { force: true });
+        throw error;
     }
 }
 
 /**
- * Upload database to Cloud Storage
+ * Copy the database file at dbPath to backupPath, replacing it, with whatever is still only in
+ * the write-ahead log; resolves false when there is no database to copy
  */
-async function uploadDatabase(localPath) {
-    if (!bucket) return false;
-    
+async function backupDatabase(dbPath, backupPath) {
+    if (!await fileExists(dbPath)) return false;
+    await fs.rm(backupPath, { force: true });
+
+    const db = await new Promise((resolve, reject) => {
+        const opened = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, err => err ? reject(err) : resolve(opened));
+    });
     try {
-        const fileName = 'game_data.db';
-        const file = bucket.file(fileName);
-        
-        await file.save(await fs.readFile(localPath), {
-            metadata: {
-                contentType: 'application/x-sqlite3',
-            },
+        await new Promise((resolve, reject) => {
+            db.run('VACUUM INTO ?', [backupPath], err => err ? reject(err) : resolve());
+        });
+    } finally {
+        await new Promise(resolve => db.close(() => resolve()));
+    }
+    return true;
+}
+
+/**
+ * Drop the database id from a restored copy, which from now on parts ways with the database it was
+ * taken from; the server gives it an id of its own when it starts (see room-store.js)
+ */
+function forgetDatabaseId(filePath) {
+    return new Promise((resolve, reject) => {
+        const restored = new sqlite3.Database(filePath, sqlite3.OPEN_READWRITE, err => {
+            if (err) return reject(err);
+            restored.run("DELETE FROM database_info WHERE key = 'database_id'", err => {
+                restored.close();
+                // Snapshots taken before the table existed have no id to drop
+                if (err && !/no such table/.test(err.message)) return reject(err);
+                resolve();
+            });
         });
-        
-        console.log(`Database uploaded to Cloud Storage`);
+    });
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
         return true;
     } catch (error) {
-        console.error('Failed to upload database to Cloud Storage:', error.message);
         return false;
     }
 }
 
-/**
- * Setup periodic database sync to Cloud Storage
- */
-function setupPeriodicSync(localPath, intervalMs = 5 * 60 * 1000) {
-    if (!bucket) return null;
-    
-    const interval = setInterval(async () => {
+// Timestamped names sort oldest to newest
+function snapshotFileName(date = new Date()) {
+    return `${SNAPSHOT_PREFIX}${date.toISOString().replace(/[:.]/g, '-')}.db`;
+}
+
+class DatabaseStorage {
+    constructor(backend, { keep = SNAPSHOT_KEEP, logger = console } = {}) {
+        this.backend = backend;
+        this.keep = keep;
+        this.logger = logger;
+        this.syncInterval = null;
+    }
+
+    get description() {
+        return this.backend.description;
+    }
+
+    /**
+     * Names of the uploaded snapshots, newest first
+     */
+    async listSnapshots() {
+        const names = await this.backend.list(SNAPSHOT_PREFIX);
+        return names.sort().reverse();
+    }
+
+    // Delete all but the newest snapshots
+    async rotateSnapshots() {
+        const expired = (await this.listSnapshots()).slice(this.keep);
+        for (const fileName of expired) {
+            await this.backend.remove(fileName);
+            this.logger.log(`Deleted old database snapshot ${fileName}`);
+        }
+    }
+
+    /**
+     * Download one snapshot (the legacy file name included), check it and move it into place.
+     * Rejects without touching localPath if the download fails or the copy is not sound.
+     */
+    async restoreSnapshot(fileName, localPath) {
+        // Download beside the database and check it before it replaces anything
+        const downloadPath = `${localPath}.download`;
+        try {
+            await this.backend.download(fileName, downloadPath);
+            await checkIntegrity(downloadPath);
+            await forgetDatabaseId(downloadPath);
+        } catch (error) {
+            await fs.rm(downloadPath, { force: true });
+            throw error;
+        }
+
+        // A journal left from the old file would be replayed against the restored one
+        for (const suffix of ['-wal', '-shm', '-journal']) {
+            await fs.rm(`${localPath}${suffix}`, { force: true });
+        }
+        await fs.rename(downloadPath, localPath);
+    }
+
+    /**
+     * Download the newest sound snapshot from backup storage, falling back to older ones. A
+     * database already at localPath is newer than any upload, so it is kept unless replace is set.
+     */
+    async downloadDatabase(localPath, { replace = false } = {}) {
+        if (!replace && await fileExists(localPath)) {
+            this.logger.log(`Using existing database at ${localPath}; not restoring from ${this.description}`);
+            return false;
+        }
+
+        try {
+            const candidates = await this.listSnapshots();
+            if (await this.backend.exists(LEGACY_FILE_NAME)) candidates.push(LEGACY_FILE_NAME);
+
+            if (candidates.length === 0) {
+                this.logger.log(`No existing database found in ${this.description}`);
+                return false;
+            }
+
+            for (const fileName of candidates) {
+                try {
+                    await this.restoreSnapshot(fileName, localPath);
+                } catch (error) {
+                    this.logger.warn(`Skipping database snapshot ${fileName}: ${error.message}`);
+                    continue;
+                }
+                this.logger.log(`Database restored from snapshot ${fileName} in ${this.description} to ${localPath}`);
+                return true;
+            }
+
+            this.logger.warn(`No usable database snapshot found in ${this.description}`);
+            return false;
+        } catch (error) {
+            this.logger.warn(`Failed to download database from ${this.description}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Upload a snapshot of the open database to backup storage and rotate old snapshots
+     */
+    async uploadDatabase(db) {
+        let snapshotPath = null;
         try {
-            await uploadDatabase(localPath);
+            snapshotPath = await createSnapshot(db);
+            const fileName = snapshotFileName();
+
+            await this.backend.upload(snapshotPath, fileName);
+
+            this.logger.log(`Database snapshot uploaded to ${this.description} as ${fileName}`);
+            await this.rotateSnapshots();
+            return true;
         } catch (error) {
-            console.error('Periodic database sync failed:', error.message);
+            this.logger.error(`Failed to upload database snapshot to ${this.description}:`, error.message);
+            return false;
+        } finally {
+            if (snapshotPath) await fs.rm(snapshotPath, { force: true });
         }
-    }, intervalMs);
-    
-    console.log(`Periodic database sync enabled (every ${intervalMs / 1000}s)`);
-    return interval;
+    }
+
+    /**
+     * Upload a snapshot every intervalMs until stopPeriodicSync()
+     */
+    startPeriodicSync(db, intervalMs = 5 * 60 * 1000) {
+        this.stopPeriodicSync();
+        this.syncInterval = setInterval(async () => {
+            try {
+                await this.uploadDatabase(db);
+            } catch (error) {
+                this.logger.error('Periodic database sync failed:', error.message);
+            }
+        }, intervalMs);
+
+        this.logger.log(`Periodic database sync enabled (every ${intervalMs / 1000}s, keeping ${this.keep} snapshots)`);
+    }
+
+    stopPeriodicSync() {
+        clearInterval(this.syncInterval);
+        this.syncInterval = null;
+    }
 }
 
 /**
- * Setup graceful shutdown handler to sync database
+ * Storage for the backend configured in the environment, or null when none is configured or its
+ * client library is missing (local development)
  */
-function setupShutdownSync(localPath) {
-    if (!bucket) return;
-    
-    const syncAndExit = async (signal) => {
-        console.log(`Received ${signal}, syncing database before shutdown...`);
-        try {
-            await uploadDatabase(localPath);
-            console.log('Database synced successfully');
-        } catch (error) {
-            console.error('Failed to sync database on shutdown:', error.message);
+function storageFromEnv(env = process.env, { logger = console } = {}) {
+    const { config, error } = storageBackends.configFromEnv(env);
+    if (error) {
+        logger.warn(`Backup storage not configured correctly, using local storage only: ${error}`);
+        return null;
+    }
+    if (!config) return null;
+
+    try {
+        const storage = new DatabaseStorage(storageBackends.createBackend(config), { logger });
+        logger.log(`Backup storage initialized: ${storage.description}`);
+        return storage;
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            logger.log(`${error.message}; using local storage only`);
+        } else {
+            logger.warn('Backup storage initialization failed, using local storage only:', error.message);
         }
-        process.exit(0);
-    };
-    
-    process.on('SIGTERM', () => syncAndExit('SIGTERM'));
-    process.on('SIGINT', () => syncAndExit('SIGINT'));
+        return null;
+    }
 }
 
 module.exports = {
-    initStorage,
-    downloadDatabase,
-    uploadDatabase,
-    setupPeriodicSync,
-    setupShutdownSync
+    LEGACY_FILE_NAME,
+    DatabaseStorage,
+    storageFromEnv,
+    createSnapshot,
+    backupDatabase,
+    checkIntegrity
 };
-
@@ -0,0 +1,92 @@
+/**
+ * Duplicate exemplar detection
+ * Submissions that differ only in case, spacing, punctuation, a leading article or a simple plural
+ * ("Chair", "chair ", "The chairs") are merged into one voting item before voting starts
+ */
+
+const LEADING_ARTICLE = /^(the|an|a)\s+/;
+
+// Words the plural rules below get wrong: singulars ending in s, and plurals of them or of -ie words
+const SINGULAR_EXCEPTIONS = new Map([
+    ['news', 'news'],
+    ['series', 'series'],
+    ['species', 'species'],
+    ['lens', 'lens'],
+    ['lenses', 'lens'],
+    ['buses', 'bus'],
+    ['gases', 'gas'],
+    ['bonuses', 'bonus'],
+    ['viruses', 'virus'],
+    ['movies', 'movie'],
+    ['cookies', 'cookie'],
+    ['pies', 'pie'],
+    ['ties', 'tie']
+]);
+
+// Strip a regular English plural from one word; irregular plurals are left alone
+function singularize(word) {
+    if (SINGULAR_EXCEPTIONS.has(word)) return SINGULAR_EXCEPTIONS.get(word);
+    if (word.length <= 3) return word;
+    if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+    // "glasses", "buzzes", "boxes", "churches", "dishes"; other -ses and -zes ("horses", "prizes") lose only the s
+    if (/(ss|zz|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (/[^su]s$/.test(word) && !/is$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Key used to decide whether two exemplars are the same item
+ */
+function normalizeExemplar(text) {
+    let normalized = String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Punctuation-only answers ("???") only match themselves
+    if (!normalized) return String(text).trim().toLowerCase();
+
+    // Keep the article if it is the whole answer ("A" as a letter, say)
+    const withoutArticle = normalized.replace(LEADING_ARTICLE, '');
+    if (withoutArticle) normalized = withoutArticle;
+
+    const words = normalized.split(' ');
+    words[words.length - 1] = singularize(words[words.length - 1]);
+    return words.join(' ');
+}
+
+/**
+ * Group a round's submissions into voting items, in first-submitted order.
+ * Each item keeps every raw submission; the first one is the canonical row votes are stored against.
+ */
+function groupSubmissions(submissions) {
+    const items = new Map();
+
+    for (const submission of submissions) {
+        const normalized = normalizeExemplar(submission.exemplar);
+        if (!items.has(normalized)) {
+            items.set(normalized, {
+                exemplar: submission.exemplar,
+                normalized,
+                dbSubmissionId: submission.dbSubmissionId,
+                submissions: [],
+                votes: new Map()
+            });
+        }
+        items.get(normalized).submissions.push(submission);
+    }
+
+    return Array.from(items.values()).map(item => ({
+        ...item,
+        playerIds: item.submissions.map(s => s.playerId),
+        nicknames: item.submissions.map(s => s.nickname)
+    }));
+}
+
+module.exports = {
+    normalizeExemplar,
+    groupSubmissions
+};
@@ -0,0 +1,69 @@
+/**
+ * Exemplar moderation
+ * A configurable blocklist strikes matching submissions as they arrive; rooms with moderation
+ * enabled then hold every exemplar in a queue the host can strike or edit before voting opens
+ */
+
+const fs = require('fs');
+
+// moderation_status values stored on submissions
+const STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    EDITED: 'edited',
+    STRUCK: 'struck'
+};
+
+const MAX_EXEMPLAR_LENGTH = 100;
+
+function parseTerms(text) {
+    return text
+        .split(/[,\n]/)
+        .map(term => term.trim().toLowerCase())
+        .filter(term => term && !term.startsWith('#'));
+}
+
+/**
+ * Read blocked terms from EXEMPLAR_BLOCKLIST ("term,term") and/or EXEMPLAR_BLOCKLIST_FILE (one per line)
+ */
+function loadBlocklist(spec = process.env.EXEMPLAR_BLOCKLIST, file = process.env.EXEMPLAR_BLOCKLIST_FILE) {
+    const terms = spec ? parseTerms(spec) : [];
+    if (file) {
+        terms.push(...parseTerms(fs.readFileSync(file, 'utf8')));
+    }
+    return Array.from(new Set(terms));
+}
+
+// Lowercase and reduce punctuation to spaces so terms match as whole words
+function wordsOf(text) {
+    return ` ${String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+}
+
+/**
+ * Return the first blocked term found in an exemplar as a whole word or phrase, or null
+ */
+function findBlockedTerm(exemplar, blocklist) {
+    const words = wordsOf(exemplar);
+    return blocklist.find(term => words.includes(wordsOf(term))) || null;
+}
+
+/**
+ * Validate a host's replacement text; returns { exemplar } or { error }
+ */
+function validateEdit(text) {
+    const exemplar = typeof text === 'string' ? text.trim() : '';
+    if (!exemplar) {
+        return { error: 'Edited exemplar cannot be empty' };
+    }
+    if (exemplar.length > MAX_EXEMPLAR_LENGTH) {
+        return { error: `Edited exemplar must be at most ${MAX_EXEMPLAR_LENGTH} characters` };
+    }
+    return { exemplar };
+}
+
+module.exports = {
+    STATUS,
+    loadBlocklist,
+    findBlockedTerm,
+    validateEdit
+};
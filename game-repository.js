@@ -0,0 +1,438 @@
+/**
+ * Game data repository
+ * Every write the game makes goes through here. Statements are prepared once and reused, and
+ * writes that belong together (a game with its settings and preset categories, a player's ballot,
+ * a round's result tally) run in one transaction, so a crash never leaves half of them behind.
+ *
+ * The repository shares the server's single connection, on which a transaction takes in every
+ * statement run while it is open; its operations therefore run one at a time, in call order.
+ * Other modules (room snapshots, the export audit, backup snapshots) use the connection through
+ * queuedConnection(), which puts their statements in the same queue, so none of them lands inside
+ * a repository transaction.
+ */
+
+const { systemClock } = require('./clock');
+
+// Record phase boundaries and totals on a round; only known columns may be set
+const ROUND_TIMING_COLUMNS = ['submission_ended_at', 'moderation_ended_at', 'voting_ended_at', 'results_shown_at', 'total_submissions', 'total_votes', 'paused_ms'];
+
+// games columns for each room option
+const ROOM_OPTION_COLUMNS = {
+    scoringRule: 'scoring_rule',
+    voteMode: 'vote_mode',
+    ratingMin: 'rating_min',
+    ratingMax: 'rating_max',
+    allowAbstain: 'allow_abstain',
+    selfVotePolicy: 'self_vote_policy',
+    moderation: 'moderation_enabled',
+    presenterMode: 'presenter_mode',
+    skipVoteThreshold: 'skip_vote_threshold',
+    teamMode: 'team_mode',
+    teamCount: 'team_count'
+};
+
+// games columns for each timer setting
+const TIMER_SETTING_COLUMNS = {
+    submission: 'timer_submission',
+    votingPerExemplar: 'timer_voting_per_exemplar',
+    votingMinimum: 'timer_voting_minimum',
+    moderation: 'timer_moderation',
+    exemplarResult: 'timer_exemplar_result',
+    summary: 'timer_summary',
+    scoreboard: 'timer_scoreboard'
+};
+
+class GameRepository {
+    constructor(db, { logger = console, clock = systemClock } = {}) {
+        this.db = db;
+        this.logger = logger;
+        this.clock = clock;
+        this.statements = new Map();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Switch the database to write-ahead logging, so readers (exports, snapshots) never wait on
+     * a write and a crash mid-write rolls back cleanly
+     */
+    async initialize() {
+        const { journal_mode: mode } = await this.get('PRAGMA journal_mode = WAL');
+        if (mode !== 'wal') this.logger.warn(`Database journal mode is ${mode}; WAL is not available`);
+    }
+
+    // Row timestamps come from the game clock, so they line up with the timings the game measures
+    timestamp() {
+        return new Date(this.clock.now()).toISOString();
+    }
+
+    // One prepared statement per distinct SQL string, kept for the life of the connection
+    statement(sql) {
+        if (!this.statements.has(sql)) {
+            this.statements.set(sql, this.db.prepare(sql));
+        }
+        return this.statements.get(sql);
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.statement(sql).run(params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    // Reset after reading so the statement does not hold a read transaction open
+    get(sql, params = []) {
+        const stmt = this.statement(sql);
+        return new Promise((resolve, reject) => {
+            stmt.get(params, (err, row) => {
+                stmt.reset(() => err ? reject(err) : resolve(row));
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        const stmt = this.statement(sql);
+        return new Promise((resolve, reject) => {
+            stmt.all(params, (err, rows) => {
+                stmt.reset(() => err ? reject(err) : resolve(rows));
+            });
+        });
+    }
+
+    exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, err => err ? reject(err) : resolve());
+        });
+    }
+
+    // Run work once everything queued before it has finished
+    exclusive(work) {
+        const result = this.queue.then(() => work());
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * The connection's run, get and all, callbacks included, with every call queued behind the
+     * repository's own work. Must not be awaited from inside repository work, which it would wait for.
+     */
+    queuedConnection() {
+        const db = this.db;
+        const queued = method => (sql, ...args) => {
+            const callback = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+            this.exclusive(() => new Promise(resolve => {
+                db[method](sql, ...args, function(...results) {
+                    resolve();
+                    // Called with the statement as this, so run callbacks still see lastID and changes
+                    callback.apply(this, results);
+                });
+            }));
+        };
+        return { run: queued('run'), get: queued('get'), all: queued('all') };
+    }
+
+    // Run work in a transaction that commits if it resolves and rolls back if it rejects
+    transaction(work) {
+        return this.exclusive(async () => {
+            await this.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await work();
+                await this.exec('COMMIT');
+                return result;
+            } catch (error) {
+                await this.exec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+    }
+
+    // Turn a database error into a logged rejection
+    async logged(description, work) {
+        try {
+            return await work();
+        } catch (error) {
+            this.logger.error(`DB Error ${description}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a game with its options, timer settings and preset categories; newSession starts
+     * the next session of a room whose earlier game was restarted. Resolves with the game's id.
+     */
+    createGame(roomCode, hostSocketId, { options, timerSettings, presetCategories = [], newSession = false }) {
+        return this.logged('creating game', () => this.transaction(async () => {
+            const sessionNumber = newSession
+                ? (await this.get('SELECT COALESCE(MAX(session_number), 0) + 1 AS next_session FROM games WHERE room_code = ?', [roomCode])).next_session
+                : 1;
+            const { lastID: gameId } = await this.run(
+                'INSERT INTO games (room_code, session_number, gm_id, started_at, status) VALUES (?, ?, ?, ?, ?)',
+                [roomCode, sessionNumber, hostSocketId, this.timestamp(), 'waiting']);
+            await this.writeGameOptions(gameId, options);
+            await this.writeGameTimerSettings(gameId, timerSettings);
+            for (const category of presetCategories) {
+                await this.writeCategory(gameId, null, category, true);
+            }
+            this.logger.log(`DB: Game ${roomCode} session ${sessionNumber} created with ID ${gameId} and ${presetCategories.length} preset categories`);
+            return gameId;
+        }));
+    }
+
+    writeGameOptions(gameId, options) {
+        const keys = Object.keys(ROOM_OPTION_COLUMNS);
+        return this.run(`UPDATE games SET ${keys.map(key => `${ROOM_OPTION_COLUMNS[key]} = ?`).join(', ')} WHERE id = ?`,
+            [...keys.map(key => options[key]), gameId]);
+    }
+
+    writeGameTimerSettings(gameId, timerSettings) {
+        const keys = Object.keys(TIMER_SETTING_COLUMNS);
+        return this.run(`UPDATE games SET ${keys.map(key => `${TIMER_SETTING_COLUMNS[key]} = ?`).join(', ')} WHERE id = ?`,
+            [...keys.map(key => timerSettings[key]), gameId]);
+    }
+
+    updateGameOptions(gameId, options) {
+        return this.logged('updating game options', () => this.exclusive(async () => {
+            await this.writeGameOptions(gameId, options);
+            this.logger.log(`DB: Game ${gameId} options updated`);
+        }));
+    }
+
+    updateGameTimerSettings(gameId, timerSettings) {
+        return this.logged('updating game timer settings', () => this.exclusive(async () => {
+            await this.writeGameTimerSettings(gameId, timerSettings);
+            this.logger.log(`DB: Game ${gameId} timer settings updated`);
+        }));
+    }
+
+    completeGame(roomCode, totalRounds) {
+        return this.logged('updating game status', () => this.exclusive(async () => {
+            await this.run('UPDATE games SET ended_at = ?, status = ?, total_rounds = ? WHERE room_code = ?',
+                [this.timestamp(), 'completed', totalRounds, roomCode]);
+            this.logger.log(`DB: Game ${roomCode} status updated to completed`);
+        }));
+    }
+
+    addPlayer(playerId, socketId, nickname, gameId, { isBot = false } = {}) {
+        return this.logged('adding player', () => this.exclusive(async () => {
+            const { lastID } = await this.run(
+                'INSERT INTO players (player_id, socket_id, nickname, game_id, is_connected, joined_at, is_bot) VALUES (?, ?, ?, ?, 1, ?, ?)',
+                [playerId, socketId, nickname, gameId, this.timestamp(), isBot ? 1 : 0]);
+            return lastID;
+        }));
+    }
+
+    /**
+     * Store a game's teams as play starts: one row per team ({ number, name, captainId, playerIds })
+     * and each member's team_id. Resolves with the teams' row ids, in the order given.
+     */
+    createTeams(gameId, teams) {
+        return this.logged('creating teams', () => this.transaction(async () => {
+            const teamIds = [];
+            for (const { number, name, captainId, playerIds } of teams) {
+                const { lastID } = await this.run(
+                    'INSERT INTO teams (game_id, team_number, name, captain_player_id, created_at) VALUES (?, ?, ?, ?, ?)',
+                    [gameId, number, name, captainId, this.timestamp()]);
+                for (const playerId of playerIds) {
+                    await this.run('UPDATE players SET team_id = ? WHERE player_id = ? AND game_id = ?', [lastID, playerId, gameId]);
+                }
+                teamIds.push(lastID);
+            }
+            this.logger.log(`DB: ${teams.length} teams created for game ${gameId}`);
+            return teamIds;
+        }));
+    }
+
+    // Put a player who joined after the teams were stored on one
+    assignPlayerTeam(playerId, gameId, teamId) {
+        return this.logged('assigning player to team', () => this.exclusive(() =>
+            this.run('UPDATE players SET team_id = ? WHERE player_id = ? AND game_id = ?', [teamId, playerId, gameId])));
+    }
+
+    getPlayer(playerId, gameId) {
+        return this.exclusive(() => this.get('SELECT * FROM players WHERE player_id = ? AND game_id = ?', [playerId, gameId]));
+    }
+
+    reconnectPlayer(playerId, socketId) {
+        return this.exclusive(() => this.run('UPDATE players SET socket_id = ?, is_connected = 1 WHERE player_id = ?', [socketId, playerId]));
+    }
+
+    setPlayerConnected(playerId, isConnected) {
+        return this.exclusive(() => this.run('UPDATE players SET is_connected = ? WHERE player_id = ?', [isConnected ? 1 : 0, playerId]));
+    }
+
+    recordPlayerLeft(socketId, gameId) {
+        return this.logged('logging player departure', () => this.exclusive(async () => {
+            await this.run('UPDATE players SET left_at = ? WHERE socket_id = ? AND game_id = ?', [this.timestamp(), socketId, gameId]);
+            this.logger.log(`DB: Player ${socketId} left game ${gameId}`);
+        }));
+    }
+
+    startRound(gameId, roundNumber, category) {
+        return this.logged('starting round', () => this.exclusive(async () => {
+            // A replacement for a skipped round is the next attempt at the same round number
+            const { lastID } = await this.run(`INSERT INTO rounds (game_id, round_number, category, started_at, attempt)
+                VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(attempt), 0) + 1 FROM rounds WHERE game_id = ? AND round_number = ?))`,
+            [gameId, roundNumber, category, this.timestamp(), gameId, roundNumber]);
+            this.logger.log(`DB: Round ${roundNumber} started in game ${gameId} with category "${category}"`);
+            return lastID;
+        }));
+    }
+
+    skipRound(roundId, { reason, skippedBy, skipVotes }) {
+        return this.logged('skipping round', () => this.exclusive(async () => {
+            await this.run('UPDATE rounds SET skipped_at = ?, skip_reason = ?, skipped_by = ?, skip_votes = ? WHERE id = ?',
+                [this.timestamp(), reason, skippedBy, skipVotes, roundId]);
+            this.logger.log(`DB: Round ${roundId} skipped by ${skippedBy}`);
+        }));
+    }
+
+    writeRoundTiming(roundId, fields) {
+        const columns = Object.keys(fields).filter(column => ROUND_TIMING_COLUMNS.includes(column));
+        if (!roundId || columns.length === 0) return Promise.resolve();
+        return this.run(`UPDATE rounds SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), roundId]);
+    }
+
+    updateRoundTiming(roundId, fields) {
+        return this.logged('updating round timing', () => this.exclusive(() => this.writeRoundTiming(roundId, fields)));
+    }
+
+    // teamId is the teams row the submission was made for, in team mode
+    addSubmission(roundId, playerId, exemplar, timing = {}, { teamId = null } = {}) {
+        return this.logged('logging submission', () => this.exclusive(async () => {
+            const { lastID } = await this.run(
+                'INSERT INTO submissions (round_id, player_id, exemplar, submitted_at, response_time_ms, client_response_time_ms, team_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [roundId, playerId, exemplar, this.timestamp(), timing.responseTimeMs, timing.clientResponseTimeMs, teamId]);
+            this.logger.log(`DB: Submission logged for player ${playerId} in round ${roundId}`);
+            return lastID;
+        }));
+    }
+
+    // Store a submission's moderation decision; the submitted text in submissions.exemplar is never changed
+    updateSubmissionModeration(submission) {
+        return this.logged('updating submission moderation', () => this.exclusive(async () => {
+            const edited = submission.exemplar !== submission.originalExemplar ? submission.exemplar : null;
+            await this.run('UPDATE submissions SET moderation_status = ?, moderation_reason = ?, moderated_exemplar = ?, moderated_at = ? WHERE id = ?',
+                [submission.moderationStatus, submission.moderationReason, edited, this.timestamp(), submission.dbSubmissionId]);
+            this.logger.log(`DB: Submission ${submission.dbSubmissionId} moderation set to ${submission.moderationStatus}`);
+        }));
+    }
+
+    // Flag the submissions each team put forward for voting; the rest stay as proposals
+    markTeamEntries(submissionIds) {
+        return this.logged('marking team entries', () => this.transaction(async () => {
+            for (const submissionId of submissionIds) {
+                await this.run('UPDATE submissions SET is_team_entry = 1 WHERE id = ?', [submissionId]);
+            }
+            this.logger.log(`DB: ${submissionIds.length} team entries marked`);
+        }));
+    }
+
+    // Record each raw submission's normalized text and the canonical submission its votes are stored against
+    recordSubmissionGroups(votingItems) {
+        return this.logged('updating submission groups', () => this.transaction(async () => {
+            for (const item of votingItems) {
+                for (const submission of item.submissions) {
+                    await this.run('UPDATE submissions SET normalized_exemplar = ?, canonical_submission_id = ? WHERE id = ?',
+                        [item.normalized, item.dbSubmissionId, submission.dbSubmissionId]);
+                }
+            }
+            const merged = votingItems.filter(item => item.submissions.length > 1).length;
+            this.logger.log(`DB: Submission groups recorded (${votingItems.length} items, ${merged} merged)`);
+        }));
+    }
+
+    /**
+     * Write one player's ballot, all of it or none. Each vote is { submissionId, response, timing }:
+     * response is { vote } for binary rooms, { rating } for rating rooms and { abstained: true } for
+     * "Not sure", with isSelfVote set when the voter submitted the exemplar.
+     */
+    recordBallot(voterPlayerId, votes) {
+        return this.logged('logging ballot', () => this.transaction(async () => {
+            const votedAt = this.timestamp();
+            for (const { submissionId, response, timing = {} } of votes) {
+                const voteValue = response.vote === undefined ? null : (response.vote ? 1 : 0);
+                const ratingValue = response.rating === undefined ? null : response.rating;
+                await this.run(`INSERT INTO votes (submission_id, voter_player_id, vote, rating, abstained, is_self_vote, voted_at, response_time_ms, client_response_time_ms)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [submissionId, voterPlayerId, voteValue, ratingValue, response.abstained ? 1 : 0, response.isSelfVote ? 1 : 0,
+                    votedAt, timing.responseTimeMs, timing.clientResponseTimeMs]);
+            }
+            this.logger.log(`DB: Ballot logged - voter ${voterPlayerId}, ${votes.length} votes`);
+        }));
+    }
+
+    /**
+     * Write a round's result tally in one transaction: the round's voting end, each scored
+     * submission ({ dbPlayerId, points, yesCount, noCount, summary } where summary carries
+     * abstainCount, plus { mean, variance } in rating rooms), each submitter's running score
+     * ({ playerId, score }) and, in team mode, each team's pooled score ({ teamId, score })
+     */
+    recordRoundResults(roundId, gameId, { timing = {}, submissions = [], scores = [], teamScores = [] }) {
+        return this.logged('recording round results', () => this.transaction(async () => {
+            await this.writeRoundTiming(roundId, timing);
+            for (const { dbPlayerId, points, yesCount, noCount, summary = {} } of submissions) {
+                await this.run(`UPDATE submissions SET points_earned = ?, yes_votes = ?, no_votes = ?, rating_mean = ?, rating_variance = ?, abstain_votes = ?
+                    WHERE round_id = ? AND player_id = ?`,
+                [points, yesCount, noCount, summary.mean, summary.variance, summary.abstainCount || 0, roundId, dbPlayerId]);
+            }
+            for (const { playerId, score } of scores) {
+                await this.run('UPDATE players SET final_score = ? WHERE player_id = ? AND game_id = ?', [score, playerId, gameId]);
+            }
+            for (const { teamId, score } of teamScores) {
+                await this.run('UPDATE teams SET final_score = ? WHERE id = ?', [score, teamId]);
+            }
+            this.logger.log(`DB: Results recorded for round ${roundId} (${submissions.length} submissions, ${scores.length} scores)`);
+        }));
+    }
+
+    writeCategory(gameId, playerId, categoryText, isPreset) {
+        return this.run('INSERT INTO categories (game_id, submitted_by_player_id, category_text, is_preset, submitted_at) VALUES (?, ?, ?, ?, ?)',
+            [gameId, playerId, categoryText, isPreset ? 1 : 0, this.timestamp()]);
+    }
+
+    addCategory(gameId, playerId, categoryText, isPreset = false) {
+        return this.logged('logging category submission', () => this.exclusive(async () => {
+            const { lastID } = await this.writeCategory(gameId, playerId, categoryText, isPreset);
+            this.logger.log(`DB: Category "${categoryText}" submitted for game ${gameId}`);
+            return lastID;
+        }));
+    }
+
+    markCategoryUsed(gameId, categoryText) {
+        return this.logged('marking category as used', () => this.exclusive(async () => {
+            await this.run('UPDATE categories SET was_used = 1 WHERE game_id = ? AND category_text = ?', [gameId, categoryText]);
+            this.logger.log(`DB: Category "${categoryText}" marked as used in game ${gameId}`);
+        }));
+    }
+
+    // Unused categories for a game, player submissions first, then presets
+    async getAvailableCategories(gameId) {
+        const rows = await this.exclusive(() => this.all(`SELECT category_text, is_preset FROM categories
+            WHERE game_id = ? AND was_used = 0 ORDER BY is_preset ASC, submitted_at ASC`, [gameId]));
+        return rows.map(r => ({ text: r.category_text, isPreset: !!r.is_preset }));
+    }
+
+    // This database's id, made the first time it is asked for (see migrations/018-database-info.js)
+    databaseId() {
+        return this.logged('reading the database id', () => this.transaction(async () => {
+            await this.run("INSERT OR IGNORE INTO database_info (key, value) VALUES ('database_id', lower(hex(randomblob(16))))");
+            const { value } = await this.get("SELECT value FROM database_info WHERE key = 'database_id'");
+            return value;
+        }));
+    }
+
+    // Finalize every cached statement; the repository cannot be used afterwards
+    close() {
+        return this.exclusive(async () => {
+            await Promise.all(Array.from(this.statements.values()).map(stmt => new Promise(resolve => stmt.finalize(resolve))));
+            this.statements.clear();
+        });
+    }
+}
+
+module.exports = {
+    GameRepository
+};
@@ -0,0 +1,3913 @@
+/**
+ * Category game server
+ * createGameServer() builds one self-contained server: its own Express app, Socket.IO server,
+ * database connection, rooms and timers. Several can run side by side in one process, for
+ * integration tests or inside another application; server.js runs one configured from the
+ * environment.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const express = require('express');
+const http = require('http');
+const socketIo = require('socket.io');
+const path = require('path');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const dbStorage = require('./db-storage');
+const dbMigrations = require('./db-migrations');
+const { GameRepository } = require('./game-repository');
+const researcherAuth = require('./researcher-auth');
+const researchExport = require('./research-export');
+const { CategoryAnalytics, parseControversyQuery } = require('./category-analytics');
+const scoringRules = require('./scoring-rules');
+const exemplarMatching = require('./exemplar-matching');
+const exemplarModeration = require('./exemplar-moderation');
+const roomSnapshots = require('./room-snapshots');
+const roomStores = require('./room-store');
+const roomBroadcast = require('./room-broadcast');
+const { systemClock } = require('./clock');
+const { BotPlayer } = require('./bot-player');
+const botStrategies = require('./bot-strategies');
+
+/**
+ * Options, all optional:
+ *   dbPath      SQLite database file (DB_PATH, else game_data.db beside this file)
+ *   port        port to listen on, 0 for any free one (PORT, else 3000)
+ *   host        interface to listen on (all of them)
+ *   storage     backup storage: a DatabaseStorage or a storage backend, null for none
+ *               (configured from the environment, see storage-backends.js)
+ *   restoreDatabase  replace an existing database file with the newest backup on start; without
+ *                    it a backup is restored only when there is no database file
+ *                    (DB_RESTORE_ON_START=true)
+ *   instanceId  this server's name in a shared room store (INSTANCE_ID, else host and pid)
+ *   redisUrl    share rooms with other instances through Redis (REDIS_URL); they must all use
+ *               the same database file (see room-store.js)
+ *   logger      console-like object for all output (console)
+ *   clock       time source for every game timer and timestamp; a FakeClock (see clock.js)
+ *               lets a test fast-forward a game (real time)
+ * Returns { app, io, server, rooms, start, stop }: start() resolves with { port } once the server
+ * is listening, stop() resolves once it is shut down.
+ */
+function createGameServer(options = {}) {
+    const {
+        dbPath = process.env.DB_PATH || path.join(__dirname, 'game_data.db'),
+        port = process.env.PORT || 3000,
+        host,
+        instanceId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+        redisUrl = process.env.REDIS_URL,
+        restoreDatabase = process.env.DB_RESTORE_ON_START === 'true',
+        logger = console,
+        clock = systemClock
+    } = options;
+
+    // Snapshot backups of the database; null when none are configured
+    let storage = null;
+    if (options.storage === undefined) {
+        storage = dbStorage.storageFromEnv(process.env, { logger });
+    } else if (options.storage) {
+        storage = options.storage instanceof dbStorage.DatabaseStorage
+            ? options.storage
+            : new dbStorage.DatabaseStorage(options.storage, { logger });
+    }
+
+    const app = express();
+    const server = http.createServer(app);
+    const io = socketIo(server, {
+        cors: {
+            origin: "*",
+            methods: ["GET", "POST"]
+        },
+        transports: ['websocket', 'polling'],
+        upgradeTimeout: 30000,
+        pingTimeout: 30000,
+        pingInterval: 25000,
+        allowEIO3: true
+    });
+
+    io.engine.on('connection_error', (err) => {
+        logger.log('Socket.IO connection error:', err.req);
+        logger.log('Error code:', err.code);
+        logger.log('Error message:', err.message);
+        logger.log('Error context:', err.context);
+    });
+
+    // Serve static files from public directory
+    app.use(express.static(path.join(__dirname, 'public')));
+    app.use(express.json());
+
+    // In-memory storage for rooms
+    const rooms = new Map();
+
+    // Track socket to player mapping for quick lookups
+    const socketToPlayer = new Map(); // socketId -> {roomCode, playerId}
+
+    // Which instance owns each room (with its snapshots), and how emits reach sockets on other
+    // instances. Both stay in this process unless REDIS_URL points at a shared Redis.
+    let roomStore = null;
+    let broadcaster = null;
+
+    // Opened by start()
+    let db = null;
+    let repository = null;
+    // The connection as everything but the repository uses it, queued behind the repository's work
+    let queuedDb = null;
+    let categoryAnalytics = null;
+    // The latest background analytics update; stop() waits for it before closing the database
+    let analyticsUpdate = Promise.resolve();
+
+    // Terms that strike a submitted exemplar automatically (EXEMPLAR_BLOCKLIST / EXEMPLAR_BLOCKLIST_FILE)
+    const exemplarBlocklist = exemplarModeration.loadBlocklist();
+    if (exemplarBlocklist.length > 0) {
+        logger.log(`Exemplar blocklist loaded: ${exemplarBlocklist.length} terms`);
+    }
+
+    // Initialize database with backup storage support
+    async function initializeDatabaseWithStorage() {
+        // Restore the newest database snapshot from backup storage if there is no local database
+        if (storage) {
+            await storage.downloadDatabase(dbPath, { replace: restoreDatabase });
+        }
+
+        // Open database connection. Instances sharing rooms share the database too (see room-store.js),
+        // so a write may have to wait a moment for another instance's
+        db = new sqlite3.Database(dbPath);
+        db.configure('busyTimeout', 5000);
+
+        // Enable foreign keys
+        db.run('PRAGMA foreign_keys = ON');
+
+        // Game writes go through the repository, which also switches the database to WAL
+        repository = new GameRepository(db, { logger, clock });
+        await repository.initialize();
+        queuedDb = repository.queuedConnection();
+
+        // Initialize database schema
+        await initializeDatabase();
+
+        // Hash configured researcher tokens into the database
+        await researcherAuth.syncConfiguredTokens(db, process.env.RESEARCH_TOKENS, logger);
+
+        // Cross-game category totals, brought up to date as games finish
+        categoryAnalytics = new CategoryAnalytics(repository, { logger });
+
+        // Setup periodic sync to backup storage (every 5 minutes); stop() uploads a last one
+        if (storage) {
+            storage.startPeriodicSync(queuedDb, 5 * 60 * 1000);
+        }
+
+        logger.log('Database initialized');
+    }
+
+    // Every timeout and interval the server starts, all on the game clock, so stop() can clear whatever
+    // is still pending
+    const pendingTimers = new Set();
+
+    // Set once stop() is called; stopping twice waits for the same shutdown
+    let stopping = null;
+
+    // Taken-over rooms still looking for their sockets; stop() lets them finish before closing io
+    const pendingReattachments = new Set();
+
+    // Handlers still finishing when stop() runs get no new timers (null handles are ignored)
+    function schedule(callback, delayMs) {
+        if (stopping) return null;
+        const handle = clock.setTimeout(() => {
+            pendingTimers.delete(handle);
+            callback();
+        }, delayMs);
+        pendingTimers.add(handle);
+        return handle;
+    }
+
+    function scheduleRepeating(callback, intervalMs) {
+        if (stopping) return null;
+        const handle = clock.setInterval(callback, intervalMs);
+        pendingTimers.add(handle);
+        return handle;
+    }
+
+    // Clears a handle from either of the above
+    function cancelScheduled(handle) {
+        clock.clearInterval(handle);
+        pendingTimers.delete(handle);
+    }
+
+    class GameTimer {
+        constructor(duration, onComplete, onTick = null, phase = '') {
+            this.duration = duration;
+            this.remaining = duration;
+            this.onComplete = onComplete;
+            this.onTick = onTick;
+            this.phase = phase;
+            this.interval = null;
+            this.isActive = false;
+            this.isPaused = false;
+            this.startTime = null;
+        }
+
+        start() {
+            if (this.isActive) return;
+
+            this.isActive = true;
+            this.startTime = clock.now();
+            this.tick();
+        }
+
+        tick() {
+            this.interval = scheduleRepeating(() => {
+                this.remaining--;
+
+                if (this.onTick) {
+                    this.onTick(this.remaining, this.phase);
+                }
+
+                if (this.remaining <= 0) {
+                    this.complete();
+                }
+            }, 1000);
+        }
+
+        // Freeze the countdown; the remaining whole seconds carry over to resume()
+        pause() {
+            if (!this.isActive || this.isPaused) return;
+
+            this.isPaused = true;
+            if (this.interval) {
+                cancelScheduled(this.interval);
+                this.interval = null;
+            }
+        }
+
+        resume() {
+            if (!this.isActive || !this.isPaused) return;
+
+            this.isPaused = false;
+            this.tick();
+        }
+
+        complete() {
+            if (!this.isActive) return;
+
+            this.isActive = false;
+            if (this.interval) {
+                cancelScheduled(this.interval);
+                this.interval = null;
+            }
+            this.onComplete();
+        }
+
+        cancel() {
+            this.isActive = false;
+            this.isPaused = false;
+            if (this.interval) {
+                cancelScheduled(this.interval);
+                this.interval = null;
+            }
+        }
+
+        // Get current state for reconnection
+        getState() {
+            return {
+                remaining: this.remaining,
+                phase: this.phase,
+                isActive: this.isActive,
+                isPaused: this.isPaused,
+                startTime: this.startTime
+            };
+        }
+
+        // Restore a countdown saved in a room snapshot. Time the server was down does not count
+        // against it, so the timer picks up with the seconds it had left.
+        restoreState(savedState) {
+            this.remaining = Math.max(0, savedState.remaining);
+            this.phase = savedState.phase;
+
+            if (this.remaining > 0) {
+                this.start();
+            } else {
+                this.isActive = true;
+                this.complete();
+            }
+        }
+    }
+
+    // Generate random room codes
+    function generateRoomCode() {
+        const chars = 'ABCDEFGHIJKLMNPQRSTUVWXYZ123456789'; // No O, 0 to avoid confusion
+        let result = '';
+        for (let i = 0; i < 4; i++) {
+            result += chars.charAt(Math.floor(Math.random() * chars.length));
+        }
+        return result;
+    }
+
+    // Draw codes until the room store reserves one for this instance, across every instance sharing it
+    async function reserveRoomCode() {
+        let roomCode;
+        do {
+            roomCode = generateRoomCode();
+        } while (!(await roomStore.reserve(roomCode)));
+        return roomCode;
+    }
+
+    // Research settings chosen while setting up a room; stored on the games row
+    const VOTE_MODES = ['binary', 'rating'];
+
+    // How a player's vote on their own exemplar is handled:
+    //   include - shown and counted (original behaviour)
+    //   hide    - left out of their voting list
+    //   auto    - left out of their list; a top vote (yes / scale maximum) is filled in when they vote
+    //   tag     - shown and stored, but not counted toward the submitter's points
+    const SELF_VOTE_POLICIES = ['include', 'hide', 'auto', 'tag'];
+    const RATING_SCALE_LIMITS = { min: 0, max: 10 };
+
+    // Team mode: off, or how each team settles on the one exemplar it puts forward a round
+    //   captain - only the team's captain submits, for the whole team
+    //   vote    - every member proposes; the exemplar most of the team proposed becomes the entry
+    const TEAM_MODES = ['off', 'captain', 'vote'];
+    const TEAM_COUNT_LIMITS = { min: 2, max: 8 };
+
+    const DEFAULT_ROOM_OPTIONS = {
+        scoringRule: scoringRules.DEFAULT_RULE,
+        voteMode: 'binary',
+        ratingMin: 1,
+        ratingMax: 7,
+        allowAbstain: false,
+        selfVotePolicy: 'include',
+        moderation: false,
+        presenterMode: false,
+        skipVoteThreshold: 0,   // Percent of connected players whose skip votes replace the category; 0 turns it off
+        teamMode: 'off',
+        teamCount: 2
+    };
+
+    // Stored in a submission's votes map when a voter chooses "Not sure"
+    const ABSTAIN = 'abstain';
+
+    // Validate option changes against the current options; returns { options } or { error }
+    function normalizeRoomOptions(current, updates = {}) {
+        const options = { ...current };
+
+        if (updates.voteMode !== undefined) {
+            if (!VOTE_MODES.includes(updates.voteMode)) {
+                return { error: `Unknown vote mode "${updates.voteMode}"` };
+            }
+            options.voteMode = updates.voteMode;
+        }
+
+        for (const key of ['ratingMin', 'ratingMax']) {
+            if (updates[key] !== undefined) {
+                const value = updates[key];
+                if (!Number.isInteger(value) || value < RATING_SCALE_LIMITS.min || value > RATING_SCALE_LIMITS.max) {
+                    return { error: `${key} must be a whole number from ${RATING_SCALE_LIMITS.min} to ${RATING_SCALE_LIMITS.max}` };
+                }
+                options[key] = value;
+            }
+        }
+        if (updates.allowAbstain !== undefined) {
+            if (typeof updates.allowAbstain !== 'boolean') {
+                return { error: 'allowAbstain must be true or false' };
+            }
+            options.allowAbstain = updates.allowAbstain;
+        }
+
+        if (updates.moderation !== undefined) {
+            if (typeof updates.moderation !== 'boolean') {
+                return { error: 'moderation must be true or false' };
+            }
+            options.moderation = updates.moderation;
+        }
+
+        if (updates.presenterMode !== undefined) {
+            if (typeof updates.presenterMode !== 'boolean') {
+                return { error: 'presenterMode must be true or false' };
+            }
+            options.presenterMode = updates.presenterMode;
+        }
+
+        if (updates.skipVoteThreshold !== undefined) {
+            const threshold = updates.skipVoteThreshold;
+            if (!Number.isInteger(threshold) || threshold < 0 || threshold > 100) {
+                return { error: 'skipVoteThreshold must be a whole percentage from 0 to 100' };
+            }
+            options.skipVoteThreshold = threshold;
+        }
+
+        if (updates.teamMode !== undefined) {
+            if (!TEAM_MODES.includes(updates.teamMode)) {
+                return { error: `Unknown team mode "${updates.teamMode}"` };
+            }
+            options.teamMode = updates.teamMode;
+        }
+
+        if (updates.teamCount !== undefined) {
+            const count = updates.teamCount;
+            if (!Number.isInteger(count) || count < TEAM_COUNT_LIMITS.min || count > TEAM_COUNT_LIMITS.max) {
+                return { error: `teamCount must be a whole number from ${TEAM_COUNT_LIMITS.min} to ${TEAM_COUNT_LIMITS.max}` };
+            }
+            options.teamCount = count;
+        }
+
+        if (updates.selfVotePolicy !== undefined) {
+            if (!SELF_VOTE_POLICIES.includes(updates.selfVotePolicy)) {
+                return { error: `Unknown self-vote policy "${updates.selfVotePolicy}"` };
+            }
+            options.selfVotePolicy = updates.selfVotePolicy;
+        }
+
+        if (options.ratingMax - options.ratingMin < 2) {
+            return { error: 'Rating scale needs at least three points' };
+        }
+
+        if (updates.scoringRule !== undefined) {
+            if (!scoringRules.isValidRule(updates.scoringRule, options.voteMode)) {
+                return { error: `Scoring rule "${updates.scoringRule}" is not available for ${options.voteMode} votes` };
+            }
+            options.scoringRule = updates.scoringRule;
+        } else if (!scoringRules.isValidRule(options.scoringRule, options.voteMode)) {
+            // Switching vote mode without naming a rule picks that mode's default
+            options.scoringRule = scoringRules.defaultRuleFor(options.voteMode);
+        }
+
+        return { options };
+    }
+
+    // Whether a player's own exemplar appears in their voting list
+    function showsOwnExemplar(room) {
+        return room.options.selfVotePolicy === 'include' || room.options.selfVotePolicy === 'tag';
+    }
+
+    // Whether self-votes count toward the submitter's points
+    function countsSelfVotes(room) {
+        return room.options.selfVotePolicy === 'include' || room.options.selfVotePolicy === 'auto';
+    }
+
+    // The exemplars a player votes on; index is the position in room.votingItems that votes refer to
+    function votingListFor(room, playerId) {
+        return room.votingItems
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => showsOwnExemplar(room) || !item.playerIds.includes(playerId))
+            .map(({ item, index }) => ({
+                exemplar: item.exemplar,
+                submittedBy: item.nicknames.join(', '),
+                index
+            }));
+    }
+
+    // Rating scale for the current room, or null in binary mode
+    function ratingScale(room) {
+        if (room.options.voteMode !== 'rating') return null;
+        return { min: room.options.ratingMin, max: room.options.ratingMax };
+    }
+
+    const TEAM_NAMES = ['Red', 'Blue', 'Green', 'Gold', 'Purple', 'Orange', 'Teal', 'Pink'];
+
+    function isTeamMode(room) {
+        return room.options.teamMode !== 'off';
+    }
+
+    function createTeam(number) {
+        return { number, name: `${TEAM_NAMES[number - 1]} Team`, captainId: null, score: 0, dbTeamId: null };
+    }
+
+    function findTeam(room, number) {
+        return room.teams.find(team => team.number === number) || null;
+    }
+
+    // A team's members in the order they joined the room
+    function teamMemberIds(room, team) {
+        return Array.from(room.players.entries())
+            .filter(([, player]) => player.teamId === team.number)
+            .map(([playerId]) => playerId);
+    }
+
+    // Put a player on the team with the fewest members, the lowest-numbered of any tie
+    function assignToSmallestTeam(room, playerId) {
+        const smallest = room.teams.reduce((best, team) =>
+            teamMemberIds(room, team).length < teamMemberIds(room, best).length ? team : best);
+        room.players.get(playerId).teamId = smallest.number;
+    }
+
+    // Bring the teams in line with the room's options: teamCount of them (none with team mode off),
+    // every player on one and each team with a captain. A captain keeps the role until the host
+    // hands it on or they leave the team; then the longest-standing member takes over.
+    function syncTeams(room) {
+        const count = isTeamMode(room) ? room.options.teamCount : 0;
+        room.teams = Array.from({ length: count }, (_, i) => room.teams[i] || createTeam(i + 1));
+
+        room.players.forEach((player, playerId) => {
+            if (count === 0) {
+                player.teamId = null;
+            } else if (!findTeam(room, player.teamId)) {
+                assignToSmallestTeam(room, playerId);
+            }
+        });
+
+        room.teams.forEach(team => {
+            const members = teamMemberIds(room, team);
+            if (!members.includes(team.captainId)) team.captainId = members[0] || null;
+        });
+    }
+
+    // Deal every player out to the teams in random order, so team sizes differ by at most one
+    function balanceTeams(room) {
+        const playerIds = Array.from(room.players.keys());
+        for (let i = playerIds.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [playerIds[i], playerIds[j]] = [playerIds[j], playerIds[i]];
+        }
+        playerIds.forEach((playerId, i) => {
+            room.players.get(playerId).teamId = room.teams[i % room.teams.length].number;
+        });
+        room.teams.forEach(team => { team.captainId = null; });
+        syncTeams(room);
+    }
+
+    // Whether this round's exemplar is in for a player: their own, or their team's in captain mode
+    function hasSubmittedThisRound(room, playerId) {
+        if (room.submissions.some(s => s.playerId === playerId)) return true;
+        const team = isTeamMode(room) ? findTeam(room, room.players.get(playerId).teamId) : null;
+        return !!team && room.options.teamMode === 'captain' && room.submissions.some(s => s.teamId === team.number);
+    }
+
+    // Put a newly joined player on a team. Once play has started the assignment is stored, and a
+    // captain team that has already submitted this round counts them as done.
+    async function placeNewPlayer(room, playerId) {
+        if (!isTeamMode(room)) return;
+        syncTeams(room);
+
+        const player = room.players.get(playerId);
+        const team = findTeam(room, player.teamId);
+        if (team.dbTeamId) {
+            await repository.assignPlayerTeam(playerId, room.dbGameId, team.dbTeamId);
+        }
+        if (hasSubmittedThisRound(room, playerId)) {
+            player.hasSubmitted = true;
+        }
+    }
+
+    // Store the teams as they stand when play starts
+    async function storeTeams(room) {
+        const teamIds = await repository.createTeams(room.dbGameId, room.teams.map(team => ({
+            number: team.number,
+            name: team.name,
+            captainId: team.captainId,
+            playerIds: teamMemberIds(room, team)
+        })));
+        room.teams.forEach((team, i) => { team.dbTeamId = teamIds[i]; });
+    }
+
+    // Who submits for a captain team: the captain or, while they are disconnected, the first
+    // connected member, so one dropped phone does not cost the team its round
+    function actingCaptainId(room, team) {
+        const members = teamMemberIds(room, team);
+        const captain = room.players.get(team.captainId);
+        if (captain && captain.isConnected && members.includes(team.captainId)) return team.captainId;
+        return members.find(playerId => room.players.get(playerId).isConnected) || team.captainId;
+    }
+
+    function teamNameOf(room, player) {
+        const team = isTeamMode(room) && findTeam(room, player.teamId);
+        return team ? team.name : null;
+    }
+
+    function nicknameOf(room, playerId) {
+        const player = playerId && room.players.get(playerId);
+        return player ? player.nickname : null;
+    }
+
+    // Teams for lobby and scoreboard screens, in team order
+    function teamsData(room) {
+        return room.teams.map(team => ({
+            number: team.number,
+            name: team.name,
+            score: team.score,
+            captain: nicknameOf(room, team.captainId),
+            members: teamMemberIds(room, team).map(playerId => room.players.get(playerId).nickname)
+        }));
+    }
+
+    function teamStandings(room) {
+        return teamsData(room).sort((a, b) => b.score - a.score);
+    }
+
+    // A player's own team as their screen shows it. While submissions are open it includes what each
+    // teammate of a voting team has proposed so far, so the team can settle on one exemplar, or the
+    // exemplar a captain team's captain sent.
+    function playerTeamData(room, playerId) {
+        const team = findTeam(room, room.players.get(playerId).teamId);
+        if (!team) return null;
+
+        const captainId = actingCaptainId(room, team);
+        const data = {
+            number: team.number,
+            name: team.name,
+            mode: room.options.teamMode,
+            captain: nicknameOf(room, captainId),
+            isCaptain: captainId === playerId
+        };
+        if (room.gameState === 'submitting') {
+            const submitted = room.submissions
+                .filter(s => s.teamId === team.number && s.moderationStatus !== exemplarModeration.STATUS.STRUCK);
+            if (room.options.teamMode === 'vote') {
+                data.proposals = submitted.map(s => ({ nickname: s.nickname, exemplar: s.exemplar }));
+            } else {
+                data.entry = submitted.length > 0 ? submitted[0].exemplar : null;
+            }
+        }
+        return data;
+    }
+
+    // The one entry each team puts forward from its submissions. A captain team's entry is
+    // what the captain sent; a voting team's is the exemplar most members proposed (matched the way
+    // duplicates are), the earliest proposal of any tie. Struck proposals cannot win. Proposals
+    // that lose stay in the database but leave the round. Resolves with the entries once they are
+    // stored, or null if they could not be.
+    async function chooseTeamEntries(room) {
+        const entries = [];
+        room.teams.forEach(team => {
+            const proposals = room.submissions.filter(s => s.teamId === team.number &&
+                s.moderationStatus !== exemplarModeration.STATUS.STRUCK);
+            if (proposals.length === 0) return;
+
+            const support = new Map();
+            proposals.forEach(s => {
+                const normalized = exemplarMatching.normalizeExemplar(s.exemplar);
+                support.set(normalized, (support.get(normalized) || 0) + 1);
+            });
+            const supportFor = s => support.get(exemplarMatching.normalizeExemplar(s.exemplar));
+            entries.push(proposals.reduce((best, s) => supportFor(s) > supportFor(best) ? s : best));
+        });
+
+        try {
+            await repository.markTeamEntries(entries.map(s => s.dbSubmissionId));
+            return entries;
+        } catch (error) {
+            logger.error('Error marking team entries:', error);
+            return null;
+        }
+    }
+
+    // A team entry belongs to the whole team: every member counts as its submitter (for self-votes
+    // and scoring rules) and the team's name is shown in place of the proposer's. Teams whose
+    // entries were duplicates share the item.
+    function assignItemToTeams(room, item) {
+        item.teamNumbers = Array.from(new Set(item.submissions.map(s => s.teamId)));
+        const teams = item.teamNumbers.map(number => findTeam(room, number)).filter(Boolean);
+        item.playerIds = Array.from(new Set([...item.playerIds, ...teams.flatMap(team => teamMemberIds(room, team))]));
+        item.nicknames = teams.map(team => team.name);
+    }
+
+    // Phase lengths in seconds; the host can change them in the lobby with set-timer-settings
+    const DEFAULT_TIMER_SETTINGS = {
+        submission: 120,
+        votingPerExemplar: 15,
+        votingMinimum: 30,
+        moderation: 90,
+        exemplarResult: 5,
+        summary: 15,
+        scoreboard: 10
+    };
+
+    // Allowed [min, max] seconds for each timer
+    const TIMER_LIMITS = {
+        submission: [15, 600],
+        votingPerExemplar: [3, 120],
+        votingMinimum: [10, 600],
+        moderation: [15, 600],
+        exemplarResult: [2, 30],
+        summary: [3, 60],
+        scoreboard: [3, 60]
+    };
+
+    // Validate timer changes against the current settings; returns { timerSettings } or { error }
+    function normalizeTimerSettings(current, updates = {}) {
+        const timerSettings = { ...current };
+
+        for (const [key, value] of Object.entries(updates)) {
+            if (!TIMER_LIMITS[key]) {
+                return { error: `Unknown timer "${key}"` };
+            }
+            const [min, max] = TIMER_LIMITS[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                return { error: `${key} must be a whole number of seconds from ${min} to ${max}` };
+            }
+            timerSettings[key] = value;
+        }
+
+        return { timerSettings };
+    }
+
+    // Options payload for settings menus
+    function roomOptionsData(room) {
+        return {
+            options: room.options,
+            scoringRules: scoringRules.listRules(),
+            timerSettings: room.timerSettings,
+            timerLimits: TIMER_LIMITS
+        };
+    }
+
+    // Confirm a settings change to the requester and keep the display and creator controls in sync
+    function emitRoomOptions(room, socket) {
+        const optionsData = roomOptionsData(room);
+        socket.emit('room-options-updated', optionsData);
+        emitToDisplays(room, 'room-options-updated', optionsData, socket.id);
+        const creator = room.creatorPlayerId && room.players.get(room.creatorPlayerId);
+        if (creator && creator.socketId && creator.socketId !== socket.id) {
+            io.to(creator.socketId).emit('room-options-updated', optionsData);
+        }
+    }
+
+    // Create new room structure
+    function createRoom(code) {
+        return {
+            code: code,
+            dbGameId: null,
+            players: new Map(),
+            hostSocketId: null,     // Display/host screen socket (host.html)
+            creatorPlayerId: null,         // Current active creator (can change on promotion)
+            originalCreatorPlayerId: null, // Original creator — used to restore role on reconnect
+            displays: new Map(),    // Display and spectator screens: socketId -> role (see DISPLAY_ROLES)
+            controllerKey: uuidv4(), // Secret a screen other than the creating one shows to join as a controller
+            gameState: 'lobby',
+            currentCategory: '',
+            submissions: [],        // One entry per player's raw submission this round
+            votingItems: [],        // Submissions merged by normalized text; votes are cast on these
+            teams: [],              // Team mode: { number, name, captainId, score, dbTeamId }; players carry teamId
+            round: 0,
+            maxRounds: 10, 
+            createdAt: new Date(clock.now()),
+            options: { ...DEFAULT_ROOM_OPTIONS },
+
+            // Category management
+            categorySubmissions: [],
+            availableCategories: [],
+
+            // Timer properties
+            currentTimer: null,
+            timerState: null,
+            phaseStartTime: null,
+            timerSettings: { ...DEFAULT_TIMER_SETTINGS },
+
+            // Pause state: { pausedAt } while the host has the game paused
+            paused: null,
+            roundPausedMs: 0,
+            resultsStep: null,      // Next scheduled step of the results sequence
+            resultsCursor: -1,      // Presenter mode: step of the results sequence on screen
+            closingSubmissions: false, // Set while team entries are stored on the way out of submissions
+            closingModeration: false, // Set while pending exemplars are approved on the way to voting
+            skipVotes: new Set()    // Players who voted to skip the current category
+        };
+    }
+
+    // Save the room's state so a restarted server (or another instance) can carry on with it;
+    // rooms are not saved until their game record exists
+    function saveRoomSnapshot(room) {
+        if (!room.dbGameId) return Promise.resolve();
+        return roomStore.save(room)
+            .catch(error => logger.error(`Error saving snapshot for room ${room.code}:`, error));
+    }
+
+    // Enhanced player lookup functions
+    function findPlayerBySocketId(socketId) {
+        const mapping = socketToPlayer.get(socketId);
+        if (!mapping) return null;
+
+        const room = rooms.get(mapping.roomCode);
+        if (!room) return null;
+
+        return room.players.get(mapping.playerId);
+    }
+
+    function findRoomBySocketId(socketId) {
+        // First check if it's a player socket
+        const mapping = socketToPlayer.get(socketId);
+        if (mapping) {
+            const room = rooms.get(mapping.roomCode);
+            if (room) {
+                logger.log(`Found room ${room.code} for player socket ${socketId}`);
+                return room;
+            } else {
+                logger.error(`Player socket ${socketId} mapped to room ${mapping.roomCode} but room not found`);
+            }
+        }
+
+        // If not a player, check if it's a GM or display socket
+        for (const room of rooms.values()) {
+            if (room.hostSocketId === socketId) {
+                logger.log(`Found room ${room.code} for host socket ${socketId}`);
+                return room;
+            }
+            if (room.displays.has(socketId)) {
+                logger.log(`Found room ${room.code} for display socket ${socketId}`);
+                return room;
+            }
+        }
+
+        logger.error(`No room found for socket ${socketId}. Player mapping:`, !!mapping, 'Total rooms:', rooms.size);
+        return null;
+    }
+
+    function updateSocketMapping(socketId, roomCode, playerId) {
+        socketToPlayer.set(socketId, { roomCode, playerId });
+    }
+
+    function removeSocketMapping(socketId) {
+        socketToPlayer.delete(socketId);
+    }
+
+    // Responses slower than this are treated as bad client data rather than latencies
+    const MAX_RESPONSE_MS = 60 * 60 * 1000;
+
+    // Server-side latency from the start of the current phase
+    function serverResponseTime(room) {
+        return room.phaseStartTime ? clock.now() - room.phaseStartTime : null;
+    }
+
+    // Client-side latency between two timestamps taken on the same client clock
+    function clientElapsed(startedAt, endedAt) {
+        const elapsed = endedAt - startedAt;
+        if (!Number.isFinite(elapsed) || elapsed < 0 || elapsed > MAX_RESPONSE_MS) return null;
+        return Math.round(elapsed);
+    }
+
+    function broadcastTimerUpdate(room, remaining, phase) {
+        const timerData = {
+            remaining: remaining,
+            phase: phase,
+            gameState: room.gameState
+        };
+
+        // Save timer state for reconnections
+        room.timerState = {
+            remaining,
+            phase,
+            gameState: room.gameState,
+            timestamp: clock.now()
+        };
+
+        // Send to all connected players
+        room.players.forEach(player => {
+            if (player.isConnected && player.socketId) {
+                io.to(player.socketId).emit('timer-update', timerData);
+            }
+        });
+
+        // Send to display
+        emitToDisplays(room, 'timer-update', timerData);
+    }
+
+    function broadcastGameState(room, excludeSocketId = null) {
+        const connectedPlayers = Array.from(room.players.values()).filter(p => p.isConnected);
+
+        const gameStateData = {
+            gameState: room.gameState,
+            currentCategory: room.currentCategory,
+            round: room.round,
+            maxRounds: room.maxRounds,
+            isPaused: !!room.paused,
+            players: Array.from(room.players.values()).map(p => ({
+                nickname: p.nickname,
+                score: p.score,
+                hasSubmitted: p.hasSubmitted,
+                hasVoted: p.hasVoted,
+                isConnected: p.isConnected,
+                teamName: teamNameOf(room, p)
+            }))
+        };
+
+        if (isTeamMode(room)) {
+            gameStateData.teamMode = room.options.teamMode;
+            gameStateData.teams = teamsData(room);
+        }
+
+        // Add timer data if active
+        if (room.timerState) {
+            gameStateData.timerRemaining = room.timerState.remaining;
+            gameStateData.timerPhase = room.timerState.phase;
+        }
+
+        // Add phase-specific data
+        if (room.gameState === 'lobby') {
+            gameStateData.categorySubmissions = room.categorySubmissions || [];
+        } else if (room.gameState === 'submitting') {
+            gameStateData.skipVotes = skipVoteData(room);
+        } else if (room.gameState === 'voting') {
+            gameStateData.voteMode = room.options.voteMode;
+            gameStateData.ratingScale = ratingScale(room);
+            gameStateData.allowAbstain = room.options.allowAbstain;
+        }
+
+        // Send to all connected players (except excluded socket); voting lists and teams are per player
+        room.players.forEach((player, playerId) => {
+            if (player.isConnected && player.socketId && player.socketId !== excludeSocketId) {
+                const playerData = { ...gameStateData };
+                if (room.gameState === 'voting') {
+                    playerData.submissions = votingListFor(room, playerId);
+                }
+                if (isTeamMode(room)) {
+                    playerData.team = playerTeamData(room, playerId);
+                }
+                io.to(player.socketId).emit('game-state-update', playerData);
+            }
+        });
+
+        // Update display with connected players count
+        updateDisplay(room);
+    }
+
+    function broadcastVoteCountUpdate(room) {
+        const connectedPlayers = Array.from(room.players.values()).filter(p => p.isConnected);
+        const votedCount = connectedPlayers.filter(p => p.hasVoted).length;
+
+        // Send vote count update to all players (doesn't trigger UI rebuild)
+        room.players.forEach(player => {
+            if (player.isConnected && player.socketId) {
+                io.to(player.socketId).emit('vote-count-update', {
+                    votedCount,
+                    totalPlayers: connectedPlayers.length
+                });
+            }
+        });
+
+        // Update display with vote progress
+        emitToDisplays(room, 'display-update', {
+            gameState: room.gameState,
+            currentCategory: room.currentCategory,
+            votedCount,
+            totalPlayers: connectedPlayers.length
+        });
+    }
+
+    // A controller display runs the room like the host; a viewer (a second projector or a remote
+    // observer) only follows it and never sees the moderation queue or presenter controls. Screens
+    // join as viewers unless they created the room or present its controller key.
+    const DISPLAY_ROLES = ['controller', 'viewer'];
+
+    // Sockets of the room's displays, optionally only those with one role
+    function displaySocketIds(room, role = null) {
+        return Array.from(room.displays.entries())
+            .filter(([, displayRole]) => !role || displayRole === role)
+            .map(([socketId]) => socketId);
+    }
+
+    // Send an event to every display and spectator screen following the room
+    function emitToDisplays(room, event, data, excludeSocketId = null) {
+        room.displays.forEach((role, socketId) => {
+            if (socketId !== excludeSocketId) {
+                io.to(socketId).emit(event, data);
+            }
+        });
+    }
+
+    // Check if a socket has host-level authority (controller display OR room creator player)
+    function isHostAuthorized(room, socketId) {
+        if (room.hostSocketId === socketId) return true;
+        if (room.displays.get(socketId) === 'controller') return true;
+        if (room.creatorPlayerId) {
+            const creator = room.players.get(room.creatorPlayerId);
+            if (creator && creator.socketId === socketId) return true;
+        }
+        return false;
+    }
+
+    // Broadcast a lightweight player status change (connect/disconnect/reconnect) to all peers
+    function broadcastPlayerStatus(room, nickname, status, excludeSocketId = null) {
+        room.players.forEach(player => {
+            if (player.isConnected && player.socketId && player.socketId !== excludeSocketId) {
+                io.to(player.socketId).emit('player-status-update', { nickname, status });
+            }
+        });
+    }
+
+    // Enhanced display update
+    function updateDisplay(room) {
+        if (room.displays.size === 0) return;
+
+        // Calculate connected players count
+        const connectedPlayers = Array.from(room.players.values()).filter(p => p.isConnected);
+        const connectedPlayersCount = connectedPlayers.length;
+
+        const displayData = {
+            gameState: room.gameState,
+            round: room.round,
+            maxRounds: room.maxRounds,
+            totalPlayers: connectedPlayersCount, // Changed from room.players.size
+            categorySubmissions: room.categorySubmissions || [],
+            isPaused: !!room.paused
+        };
+
+        // Add connected player list
+        displayData.players = Array.from(room.players.values()).map(p => ({
+            nickname: p.nickname,
+            score: p.score,
+            isConnected: p.isConnected,
+            teamName: teamNameOf(room, p)
+        }));
+        if (isTeamMode(room)) {
+            displayData.teamMode = room.options.teamMode;
+            displayData.teams = teamsData(room);
+        }
+
+        // Add phase-specific data with connected players count
+        if (room.gameState === 'submitting') {
+            displayData.currentCategory = room.currentCategory;
+            displayData.submittedCount = connectedPlayers.filter(p => p.hasSubmitted).length;
+            displayData.skipVotes = skipVoteData(room);
+        } else if (room.gameState === 'moderating') {
+            displayData.currentCategory = room.currentCategory;
+        } else if (room.gameState === 'voting') {
+            displayData.currentCategory = room.currentCategory;
+            displayData.votedCount = connectedPlayers.filter(p => p.hasVoted).length;
+        }
+
+        emitToDisplays(room, 'display-update', displayData);
+    }
+
+    // Add a screen to the room's displays, or change its role, and bring it up to date
+    function registerDisplay(socket, room, role = 'viewer') {
+        const roomCode = room.code;
+
+        room.displays.set(socket.id, role);
+        socket.join(roomCode);
+
+        logger.log(`Display socket ${socket.id} registered as ${role} for room ${roomCode} (${room.displays.size} screen(s))`);
+
+        // Send confirmation BEFORE sending state
+        socket.emit('display-connected', { roomCode, role, ...roomOptionsData(room) });
+        if (room.gameState === 'moderating' && moderatorSocketIds(room).includes(socket.id)) {
+            sendModerationQueue(room, [socket.id]);
+        }
+
+        // Small delay to ensure socket is fully registered
+        schedule(() => {
+            // Send current state to display
+            updateDisplay(room);
+            resendPresenterStep(room, socket.id);
+            logger.log(`Initial state sent to display for room ${roomCode}`);
+        }, 100);
+    }
+
+    // Enhanced reconnection function
+    async function handlePlayerReconnection(socket, roomCode, playerId) {
+        const room = rooms.get(roomCode);
+        if (!room) {
+            socket.emit('reconnect-error', { message: 'Room not found' });
+            return;
+        }
+
+        let player = room.players.get(playerId);
+
+        // If player not in memory, try to restore from database
+        if (!player) {
+            try {
+                const dbPlayer = await repository.getPlayer(playerId, room.dbGameId);
+                if (!dbPlayer) {
+                    socket.emit('reconnect-error', { message: 'Player not found' });
+                    return;
+                }
+
+                // Restore player to memory, on the team their row points at
+                const team = room.teams.find(t => t.dbTeamId && t.dbTeamId === dbPlayer.team_id);
+                player = {
+                    playerId: dbPlayer.player_id,
+                    dbPlayerId: dbPlayer.id,
+                    socketId: socket.id,
+                    nickname: dbPlayer.nickname,
+                    score: dbPlayer.final_score || 0,
+                    hasSubmitted: false, // Will be determined by game state
+                    hasVoted: false,     // Will be determined by game state
+                    isConnected: true,
+                    isBot: !!dbPlayer.is_bot,
+                    teamId: team ? team.number : null
+                };
+
+                room.players.set(playerId, player);
+                await placeNewPlayer(room, playerId);
+            } catch (error) {
+                logger.error('Error restoring player from DB:', error);
+                socket.emit('reconnect-error', { message: 'Failed to restore player data' });
+                return;
+            }
+        } else {
+            // Player exists in memory, just reconnect
+            player.socketId = socket.id;
+            player.isConnected = true;
+            player.reconnectPending = false;
+        }
+
+        // Restore player status based on actual game state
+        // This prevents players from submitting/voting twice after reconnection
+        if (room.gameState === 'submitting') {
+            // Check if player (or their captain) has already submitted in this round
+            player.hasSubmitted = hasSubmittedThisRound(room, playerId);
+            player.hasVoted = false; // Voting hasn't started yet
+        } else if (room.gameState === 'voting') {
+            // Check if player has already submitted (they should have, but verify)
+            player.hasSubmitted = hasSubmittedThisRound(room, playerId);
+            // Check if player has already voted
+            player.hasVoted = room.votingItems.some(item => item.votes.has(playerId));
+        } else if (room.gameState === 'results' || room.gameState === 'game-complete') {
+            // In results or game-complete, player has already submitted and voted for this round
+            // Verify against actual data if available
+            player.hasSubmitted = room.submissions && room.submissions.length > 0 
+                ? hasSubmittedThisRound(room, playerId) 
+                : true;
+            player.hasVoted = room.votingItems && room.votingItems.length > 0
+                ? room.votingItems.some(item => item.votes.has(playerId))
+                : true;
+        } else {
+            // In lobby or other states, reset flags
+            player.hasSubmitted = false;
+            player.hasVoted = false;
+        }
+
+        // Update socket mapping
+        updateSocketMapping(socket.id, roomCode, playerId);
+        socket.join(roomCode);
+
+        // Update database
+        try {
+            await repository.reconnectPlayer(playerId, socket.id);
+        } catch (error) {
+            logger.error('DB reconnect update error:', error);
+        }
+
+        // If the original creator is reconnecting and their role was promoted away, restore it
+        if (room.originalCreatorPlayerId === playerId && room.creatorPlayerId !== playerId) {
+            const demotedEntry = Array.from(room.players.entries())
+                .find(([id, p]) => id === room.creatorPlayerId && p.isConnected && p.socketId);
+            if (demotedEntry) {
+                io.to(demotedEntry[1].socketId).emit('creator-demoted');
+            }
+            room.creatorPlayerId = playerId;
+            logger.log(`Creator role restored to original creator ${player.nickname}`);
+        }
+
+        // Build a complete reconnect payload so the client needs no follow-up update
+        const reconnectData = {
+            roomCode,
+            playerId,
+            nickname: player.nickname,
+            score: player.score,
+            gameState: room.gameState,
+            round: room.round,
+            maxRounds: room.maxRounds,
+            currentCategory: room.currentCategory,
+            isCreator: room.creatorPlayerId === playerId,
+            isPaused: !!room.paused,
+            ...roomOptionsData(room),
+            players: Array.from(room.players.values()).map(p => ({
+                nickname: p.nickname,
+                score: p.score,
+                hasSubmitted: p.hasSubmitted,
+                hasVoted: p.hasVoted,
+                isConnected: p.isConnected
+            }))
+        };
+
+        // Add active timer state
+        if (room.timerState) {
+            // The countdown has not moved since the pause began
+            const now = room.paused ? room.paused.pausedAt : clock.now();
+            const elapsed = Math.floor((now - room.timerState.timestamp) / 1000);
+            const remaining = Math.max(0, room.timerState.remaining - elapsed);
+            if (remaining > 0) {
+                reconnectData.timerRemaining = remaining;
+                reconnectData.timerPhase = room.timerState.phase;
+            }
+        }
+
+        // Add phase-specific data
+        if (room.gameState === 'lobby') {
+            reconnectData.categorySubmissions = room.categorySubmissions || [];
+        } else if (room.gameState === 'submitting') {
+            // Include the player's own submission if they already submitted
+            const mySubmission = room.submissions.find(s => s.playerId === playerId);
+            if (mySubmission) {
+                reconnectData.mySubmission = mySubmission.exemplar;
+            }
+            reconnectData.skipVotes = skipVoteData(room);
+            reconnectData.hasVotedToSkip = room.skipVotes.has(playerId);
+        } else if (room.gameState === 'voting' && room.votingItems.length > 0) {
+            reconnectData.submissions = votingListFor(room, playerId);
+            reconnectData.voteMode = room.options.voteMode;
+            reconnectData.ratingScale = ratingScale(room);
+            reconnectData.allowAbstain = room.options.allowAbstain;
+        }
+
+        socket.emit('reconnect-success', reconnectData);
+        if (room.gameState === 'moderating' && moderatorSocketIds(room).includes(socket.id)) {
+            sendModerationQueue(room, [socket.id]);
+        }
+        resendPresenterStep(room, socket.id);
+
+        // Broadcast to others that player reconnected (peer notification)
+        broadcastPlayerStatus(room, player.nickname, 'reconnected', socket.id);
+
+        // Update display
+        emitToDisplays(room, 'player-reconnected', { nickname: player.nickname });
+        updateDisplay(room);
+
+        // Broadcast updated game state to all OTHER players (not the reconnecting player)
+        broadcastGameState(room, socket.id);
+
+        // Re-check if everyone has already submitted/voted so the game can advance early
+        if (room.gameState === 'submitting') {
+            checkSubmissionComplete(room);
+        } else if (room.gameState === 'voting') {
+            checkVotingComplete(room);
+        }
+
+        logger.log(`Player ${player.nickname} successfully reconnected to room ${roomCode}`);
+    }
+
+    async function selectNextCategory(room) {
+        try {
+            const available = await repository.getAvailableCategories(room.dbGameId);
+            if (available.length === 0) return null;
+
+            const playerPool = available.filter(c => !c.isPreset);
+            const pool = playerPool.length ? playerPool : available;  // prefer players
+            const selected = pool[Math.floor(Math.random() * pool.length)]; // random within the chosen pool
+
+            await repository.markCategoryUsed(room.dbGameId, selected.text);
+            return selected.text;
+        } catch (error) {
+            logger.error('Error selecting category:', error);
+            return null;
+        }
+    }
+
+    // What each phase does when its countdown runs out
+    const PHASE_TIMER_HANDLERS = {
+        submission: endSubmissionPhase,
+        moderation: finishModeration,
+        voting: startResultsPhase
+    };
+
+    // Seconds between the snapshots a running phase timer saves, so a restart loses little of the countdown
+    const SNAPSHOT_TICK_INTERVAL = 10;
+
+    function createPhaseTimer(room, phase, duration) {
+        return new GameTimer(
+            duration,
+            () => {
+                logger.log(`${phase[0].toUpperCase()}${phase.slice(1)} timer expired for room ${room.code}`);
+                PHASE_TIMER_HANDLERS[phase](room);
+            },
+            (remaining) => {
+                broadcastTimerUpdate(room, remaining, phase);
+                if (remaining > 0 && remaining % SNAPSHOT_TICK_INTERVAL === 0) {
+                    saveRoomSnapshot(room);
+                }
+            },
+            phase
+        );
+    }
+
+    // Replace any running timer with a fresh countdown for the phase
+    function startPhaseTimer(room, phase, duration) {
+        if (room.currentTimer) {
+            room.currentTimer.cancel();
+        }
+        room.currentTimer = createPhaseTimer(room, phase, duration);
+        room.currentTimer.start();
+    }
+
+    function startSubmissionPhase(room, category) {
+        room.gameState = 'submitting';
+        room.currentCategory = category;
+        room.phaseStartTime = clock.now();
+        room.roundPausedMs = 0;
+        room.skipVotes = new Set();
+        room.submissions = [];
+        room.votingItems = [];
+
+        // Reset player status
+        room.players.forEach(player => {
+            player.hasSubmitted = false;
+            player.hasVoted = false;
+        });
+
+        // Start submission timer
+        startPhaseTimer(room, 'submission', room.timerSettings.submission);
+        saveRoomSnapshot(room);
+
+        // Broadcast game state
+        try {
+            broadcastGameState(room);
+        } catch (error) {
+            logger.error('Error broadcasting game state:', error);
+        }
+
+        logger.log(`Submission phase started for room ${room.code} with category "${category}"`);
+    }
+
+    // Submissions close: go to the moderation queue if the room uses one, otherwise straight to voting
+    async function endSubmissionPhase(room) {
+        // The timer firing and the last submission arriving may race; only the first closes the phase
+        if (room.gameState !== 'submitting' || room.closingSubmissions) return;
+
+        repository.updateRoundTiming(room.currentRoundDbId, {
+            submission_ended_at: new Date(clock.now()).toISOString(),
+            total_submissions: room.submissions.length
+        }).catch(error => logger.error('Error recording submission phase end:', error));
+
+        if (isTeamMode(room)) {
+            const roundDbId = room.currentRoundDbId;
+            room.closingSubmissions = true;
+            const entries = await chooseTeamEntries(room);
+            room.closingSubmissions = false;
+            // The game may have been ended, restarted or given a new category meanwhile
+            if (room.gameState !== 'submitting' || room.currentRoundDbId !== roundDbId) return;
+            // Entries the database does not have are not voted on alone; every proposal stays in
+            if (entries) room.submissions = entries;
+        }
+
+        if (room.options.moderation) {
+            startModerationPhase(room);
+        } else {
+            startVotingPhase(room);
+        }
+    }
+
+    // Sockets that receive the moderation queue. When the room has a creator player the queue goes
+    // to their device only, so the shared display never shows unreviewed exemplars.
+    function moderatorSocketIds(room) {
+        const creator = room.creatorPlayerId && room.players.get(room.creatorPlayerId);
+        if (creator && creator.isConnected && creator.socketId) return [creator.socketId];
+        return displaySocketIds(room, 'controller');
+    }
+
+    function moderationQueueData(room) {
+        return {
+            category: room.currentCategory,
+            items: room.submissions.map(s => ({
+                submissionId: s.dbSubmissionId,
+                exemplar: s.exemplar,
+                originalExemplar: s.originalExemplar,
+                submittedBy: s.nickname,
+                status: s.moderationStatus,
+                reason: s.moderationReason
+            }))
+        };
+    }
+
+    function sendModerationQueue(room, socketIds = moderatorSocketIds(room)) {
+        const queue = moderationQueueData(room);
+        socketIds.forEach(socketId => io.to(socketId).emit('moderation-queue', queue));
+    }
+
+    function startModerationPhase(room) {
+        room.gameState = 'moderating';
+        room.phaseStartTime = clock.now();
+
+        // Anything the blocklist has not already struck waits for the host
+        room.submissions.forEach(submission => {
+            if (submission.moderationStatus !== exemplarModeration.STATUS.STRUCK) {
+                submission.moderationStatus = exemplarModeration.STATUS.PENDING;
+            }
+        });
+
+        // If the host never finishes, voting opens with whatever has been struck so far
+        startPhaseTimer(room, 'moderation', room.timerSettings.moderation);
+        saveRoomSnapshot(room);
+
+        try {
+            broadcastGameState(room);
+        } catch (error) {
+            logger.error('Error broadcasting game state:', error);
+        }
+        sendModerationQueue(room);
+
+        logger.log(`Moderation phase started for room ${room.code} (${room.submissions.length} exemplars)`);
+    }
+
+    // Approve everything still pending, then open voting
+    async function finishModeration(room) {
+        // The host finishing and the moderation timer firing may race; only the first opens voting
+        if (room.gameState !== 'moderating' || room.closingModeration) return;
+        room.closingModeration = true;
+
+        for (const submission of room.submissions) {
+            if (submission.moderationStatus === exemplarModeration.STATUS.PENDING) {
+                submission.moderationStatus = exemplarModeration.STATUS.APPROVED;
+                try {
+                    await repository.updateSubmissionModeration(submission);
+                } catch (error) {
+                    logger.error('Error approving submission:', error);
+                }
+            }
+        }
+
+        repository.updateRoundTiming(room.currentRoundDbId, { moderation_ended_at: new Date(clock.now()).toISOString() })
+            .catch(error => logger.error('Error recording moderation end:', error));
+
+        room.closingModeration = false;
+        // The game may have been ended or restarted meanwhile
+        if (room.gameState !== 'moderating') return;
+        startVotingPhase(room);
+    }
+
+    function startVotingPhase(room) {
+        room.gameState = 'voting';
+        room.phaseStartTime = clock.now();
+
+        // Merge duplicate exemplars into single voting items; the raw submissions stay as they are.
+        // Struck exemplars stay in room.submissions (and the database) but are never voted on.
+        room.votingItems = exemplarMatching.groupSubmissions(
+            room.submissions.filter(s => s.moderationStatus !== exemplarModeration.STATUS.STRUCK));
+        if (isTeamMode(room)) {
+            room.votingItems.forEach(item => assignItemToTeams(room, item));
+        }
+        repository.recordSubmissionGroups(room.votingItems)
+            .catch(error => logger.error('Error recording duplicate groups:', error));
+
+        // Calculate voting time based on number of exemplars
+        const votingTime = Math.max(
+            room.timerSettings.votingMinimum,
+            room.votingItems.length * room.timerSettings.votingPerExemplar
+        );
+
+        // Reset voting status
+        room.players.forEach(player => {
+            player.hasVoted = false;
+        });
+
+        // Start voting timer
+        startPhaseTimer(room, 'voting', votingTime);
+        saveRoomSnapshot(room);
+
+        try {
+            broadcastGameState(room);
+        } catch (error) {
+            logger.error('Error broadcasting game state:', error);
+        }
+
+        logger.log(`Voting phase started for room ${room.code}`);
+
+    }
+
+    // Check if all players have voted (early completion)
+    function checkVotingComplete(room) {
+        // A ballot stored after the voting timer fired finds the round already scored
+        if (room.gameState !== 'voting') return false;
+        // A paused phase never ends early; resumeGame re-checks
+        if (room.paused) return false;
+
+        // Players a restored room is still waiting on count as connected, so the first one back
+        // cannot end the phase alone
+        const connectedPlayers = Array.from(room.players.values())
+            .filter(p => p.isConnected || p.reconnectPending);
+        const votedCount = connectedPlayers
+            .filter(p => p.hasVoted).length;
+
+        if (votedCount === connectedPlayers.length && connectedPlayers.length > 0) {
+            logger.log(`All connected players voted early in room ${room.code} (${votedCount}/${connectedPlayers.length})`);
+
+            if (room.currentTimer) {
+                room.currentTimer.cancel();
+            }
+
+            startResultsPhase(room);
+            return true;
+        }
+        return false;
+    }
+
+    // Early completion check
+    function checkSubmissionComplete(room) {
+        if (room.paused) return false;
+
+        const connectedPlayers = Array.from(room.players.values())
+            .filter(p => p.isConnected || p.reconnectPending);
+        const submittedCount = connectedPlayers
+            .filter(p => p.hasSubmitted).length;
+
+        if (submittedCount === connectedPlayers.length && connectedPlayers.length > 0) {
+            logger.log(`All connected players submitted early in room ${room.code} (${submittedCount}/${connectedPlayers.length})`);
+
+            if (room.currentTimer) {
+                room.currentTimer.cancel();
+            }
+
+            endSubmissionPhase(room);
+            return true;
+        }
+        return false;
+    }
+
+    // Phases a category can be skipped in; once results are showing the round counts
+    const SKIPPABLE_STATES = ['submitting', 'moderating', 'voting'];
+
+    const MAX_SKIP_REASON_LENGTH = 200;
+
+    // Skip votes that replace the category, or null when the room does not let players vote to skip
+    function skipVotesNeeded(room) {
+        if (!room.options.skipVoteThreshold) return null;
+        const connectedCount = Array.from(room.players.values()).filter(p => p.isConnected).length;
+        return Math.max(1, Math.ceil(connectedCount * room.options.skipVoteThreshold / 100));
+    }
+
+    function skipVoteData(room) {
+        return { votes: room.skipVotes.size, needed: skipVotesNeeded(room) };
+    }
+
+    // Cancel the current round and start a replacement category at the same round number, so the
+    // skip does not use up one of maxRounds. Returns an error message, or null once the replacement is running.
+    async function skipCategory(room, { reason, skippedBy }) {
+        if (!SKIPPABLE_STATES.includes(room.gameState)) return 'There is no category to skip right now';
+        if (room.skipInProgress) return 'Category is already being skipped';
+
+        room.skipInProgress = true;
+        try {
+            const replacement = await selectNextCategory(room);
+            if (!replacement) return 'No replacement category available - add one first';
+            // Voting may have closed while the replacement was drawn
+            if (!SKIPPABLE_STATES.includes(room.gameState)) return 'The round has already reached results';
+
+            const skippedCategory = room.currentCategory;
+            const skippedRoundId = room.currentRoundDbId;
+            const skipVotes = room.skipVotes.size;
+
+            if (room.currentTimer) {
+                room.currentTimer.cancel();
+            }
+
+            // A skip from a paused round lifts the pause; the paused time still goes on the skipped round
+            if (room.paused) {
+                const pausedMs = clock.now() - room.paused.pausedAt;
+                room.paused = null;
+                room.roundPausedMs += pausedMs;
+                repository.updateRoundTiming(skippedRoundId, { paused_ms: room.roundPausedMs })
+                    .catch(error => logger.error('Error recording paused time:', error));
+                broadcastPauseState(room, 'game-resumed', { gameState: room.gameState, pausedMs });
+            }
+
+            try {
+                await repository.skipRound(skippedRoundId, { reason, skippedBy, skipVotes });
+            } catch (error) {
+                logger.error('Error recording skipped round:', error);
+            }
+
+            emitToScreens(room, 'category-skipped', {
+                category: skippedCategory,
+                replacement,
+                reason,
+                skippedBy
+            });
+
+            room.currentRoundDbId = await repository.startRound(room.dbGameId, room.round, replacement);
+            startSubmissionPhase(room, replacement);
+
+            logger.log(`Category "${skippedCategory}" skipped by ${skippedBy} in room ${room.code}; replaced with "${replacement}"`);
+            return null;
+        } finally {
+            room.skipInProgress = false;
+        }
+    }
+
+    // Phases the host can pause: the timed phases and the results sequence that follows voting
+    const PAUSABLE_STATES = ['submitting', 'moderating', 'voting', 'results'];
+
+    // Tell players and the display the game is paused or running again
+    function broadcastPauseState(room, event, data) {
+        room.players.forEach(player => {
+            if (player.isConnected && player.socketId) {
+                io.to(player.socketId).emit(event, data);
+            }
+        });
+        emitToDisplays(room, event, data);
+    }
+
+    // Freeze the phase timer and the results sequence; returns an error message if the room cannot pause
+    function pauseGame(room) {
+        if (room.paused) return 'Game is already paused';
+        if (!PAUSABLE_STATES.includes(room.gameState)) return 'Nothing to pause right now';
+
+        room.paused = { pausedAt: clock.now() };
+        if (room.currentTimer) {
+            room.currentTimer.pause();
+        }
+        if (room.resultsStep && room.resultsStep.timeout) {
+            cancelScheduled(room.resultsStep.timeout);
+            room.resultsStep.timeout = null;
+            room.resultsStep.remainingMs = Math.max(0, room.resultsStep.dueAt - clock.now());
+        }
+
+        saveRoomSnapshot(room);
+        broadcastPauseState(room, 'game-paused', {
+            gameState: room.gameState,
+            timerRemaining: room.currentTimer && room.currentTimer.isActive ? room.currentTimer.remaining : null
+        });
+        logger.log(`Game paused in room ${room.code} during ${room.gameState}`);
+        return null;
+    }
+
+    function resumeGame(room) {
+        if (!room.paused) return 'Game is not paused';
+
+        const pausedMs = clock.now() - room.paused.pausedAt;
+        room.paused = null;
+
+        // Shift the phase start so server response times leave out the paused stretch
+        if (room.phaseStartTime) {
+            room.phaseStartTime += pausedMs;
+        }
+        if (room.timerState) {
+            room.timerState.timestamp += pausedMs;
+        }
+        room.roundPausedMs += pausedMs;
+        if (room.currentRoundDbId) {
+            repository.updateRoundTiming(room.currentRoundDbId, { paused_ms: room.roundPausedMs })
+                .catch(error => logger.error('Error recording paused time:', error));
+        }
+
+        if (room.currentTimer) {
+            room.currentTimer.resume();
+        }
+        if (room.resultsStep) {
+            startResultsStep(room);
+        }
+        saveRoomSnapshot(room);
+
+        broadcastPauseState(room, 'game-resumed', { gameState: room.gameState, pausedMs });
+        logger.log(`Game resumed in room ${room.code} after ${pausedMs}ms`);
+
+        // Submissions or votes may have been completed by a disconnect during the pause
+        if (room.gameState === 'submitting') {
+            checkSubmissionComplete(room);
+        } else if (room.gameState === 'voting') {
+            checkVotingComplete(room);
+        }
+        return null;
+    }
+
+    // Updated results phase with enhanced scoring
+    async function startResultsPhase(room) {
+        room.gameState = 'results';
+
+        if (room.currentTimer) room.currentTimer.cancel();
+
+        const roundTiming = {
+            voting_ended_at: new Date(clock.now()).toISOString(),
+            total_votes: room.votingItems.reduce((total, item) => total + item.votes.size, 0)
+        };
+
+        // Calculate scores and results
+        const scale = ratingScale(room);
+        const results = [];
+        const scoredSubmissions = [];
+        const runningScores = new Map();
+        for (const item of room.votingItems) {
+            // Convert playerId-based votes to the format expected by results;
+            // abstentions are counted separately and never reach the scoring rule
+            const allVotes = Array.from(item.votes.entries()).map(([playerId, vote]) => ({
+                playerId,
+                vote
+            }));
+            const abstainCount = allVotes.filter(v => v.vote === ABSTAIN).length;
+            // Tagged self-votes stay in the database but are left out of the tally
+            const votes = allVotes.filter(v => v.vote !== ABSTAIN &&
+                (countsSelfVotes(room) || !item.playerIds.includes(v.playerId)));
+
+            let tally;
+            let ratingSummary = {};
+            if (scale) {
+                const ratings = votes.map(v => v.vote);
+                ratingSummary = scoringRules.ratingStats(ratings);
+                tally = { ratings, scale, votes, submitterIds: item.playerIds, yesCount: null, noCount: null };
+            } else {
+                const yesCount = votes.filter(v => v.vote).length;
+                tally = { yesCount, noCount: votes.length - yesCount, votes, submitterIds: item.playerIds };
+            }
+            const { yesCount, noCount } = tally;
+            const { points, ruleValue } = scoringRules.scoreTally(room.options.scoringRule, tally);
+
+            // Every player who submitted a merged duplicate earns the item's points
+            for (const submission of item.submissions) {
+                const submitter = room.players.get(submission.playerId);
+                if (submitter) {
+                    submitter.score += points;
+                    runningScores.set(submission.playerId, submitter.score);
+                    scoredSubmissions.push({
+                        dbPlayerId: submitter.dbPlayerId,
+                        points,
+                        yesCount,
+                        noCount,
+                        summary: { ...ratingSummary, abstainCount }
+                    });
+                }
+            }
+
+            // Team mode pools the entry's points into each team that put it forward
+            (item.teamNumbers || []).forEach(number => {
+                const team = findTeam(room, number);
+                if (team) team.score += points;
+            });
+
+            const result = {
+                exemplar: item.exemplar,
+                submittedBy: item.nicknames.join(', '),
+                variants: item.submissions.map(s => s.exemplar),
+                votes: votes,
+                voteMode: room.options.voteMode,
+                yesCount,
+                noCount,
+                abstainCount,
+                points,
+                ruleValue
+            };
+            if (scale) {
+                result.scale = scale;
+                result.ratingMean = ratingSummary.mean;
+                result.ratingSd = ratingSummary.variance === null ? null : Math.sqrt(ratingSummary.variance);
+                result.ratingCounts = {};
+                for (let r = scale.min; r <= scale.max; r++) {
+                    result.ratingCounts[r] = tally.ratings.filter(rating => rating === r).length;
+                }
+            }
+            results.push(result);
+        }
+
+        room.currentResults = results;
+        room.currentResultIndex = -1;
+
+        // The whole tally is written at once, so scores and submission results never disagree
+        try {
+            await repository.recordRoundResults(room.currentRoundDbId, room.dbGameId, {
+                timing: roundTiming,
+                submissions: scoredSubmissions,
+                scores: Array.from(runningScores, ([playerId, score]) => ({ playerId, score })),
+                teamScores: room.teams.filter(team => team.dbTeamId).map(team => ({ teamId: team.dbTeamId, score: team.score }))
+            });
+        } catch (error) {
+            logger.error('Error recording round results:', error);
+        }
+
+        // NEW WAY: Single broadcast handles all updates
+        try {
+            broadcastGameState(room);
+        } catch (error) {
+            logger.error('Error broadcasting game state:', error);
+        }
+
+        // Initialize results mode on display
+        emitToDisplays(room, 'results-mode-start', {
+            totalResults: results.length
+        });
+
+        // Presenter rooms wait on the host after the first result; others auto-advance through everything
+        room.resultsCursor = -1;
+        if (room.options.presenterMode) {
+            scheduleResultsStep(room, startPresenting, 150);
+        } else {
+            scheduleResultsStep(room, autoAdvanceResults, 150);
+        }
+    }
+
+    // Run the next step of the results sequence after a delay, tracked on the room so a pause can hold it.
+    // Steps must be named functions from RESULTS_STEPS so a room snapshot can reschedule them.
+    function scheduleResultsStep(room, step, delayMs) {
+        clearResultsStep(room);
+        room.resultsStep = { step, dueAt: clock.now() + delayMs, remainingMs: delayMs, timeout: null };
+        if (!room.paused) {
+            startResultsStep(room);
+        }
+        saveRoomSnapshot(room);
+    }
+
+    function startResultsStep(room) {
+        const pending = room.resultsStep;
+        pending.dueAt = clock.now() + pending.remainingMs;
+        pending.timeout = schedule(() => {
+            room.resultsStep = null;
+            pending.step(room);
+        }, pending.remainingMs);
+    }
+
+    function clearResultsStep(room) {
+        if (room.resultsStep && room.resultsStep.timeout) {
+            cancelScheduled(room.resultsStep.timeout);
+        }
+        room.resultsStep = null;
+    }
+
+    // One revealed exemplar, as shown on the display and players' screens
+    function exemplarResultData(room, index) {
+        const result = room.currentResults[index];
+        return {
+            exemplar: result.exemplar,
+            submittedBy: result.submittedBy,
+            variants: result.variants,
+            votes: result.votes,
+            yesCount: result.yesCount,
+            noCount: result.noCount,
+            abstainCount: result.abstainCount,
+            points: result.points,
+            voteMode: result.voteMode,
+            scale: result.scale,
+            ratingMean: result.ratingMean,
+            ratingSd: result.ratingSd,
+            ratingCounts: result.ratingCounts,
+            currentIndex: index,
+            totalResults: room.currentResults.length
+        };
+    }
+
+    function summaryData(room) {
+        // Sort with the room's scoring rule so the summary matches how points were awarded
+        const sortedByPoints = [...room.currentResults].sort(scoringRules.compareResults);
+
+        if (sortedByPoints.length <= 6) {
+            return {
+                showAll: true,
+                allResults: sortedByPoints,
+                title: `All ${sortedByPoints.length} Exemplars (Most to Least Points)`
+            };
+        }
+        return {
+            showAll: false,
+            topResults: sortedByPoints.slice(0, 3),
+            bottomResults: sortedByPoints.slice(-3),
+            title: 'Top & Bottom Scoring Exemplars'
+        };
+    }
+
+    function scoreboardData(room) {
+        const sortedPlayers = Array.from(room.players.values())
+            .map(p => ({ nickname: p.nickname, score: p.score }))
+            .sort((a, b) => b.score - a.score);
+
+        const data = {
+            players: sortedPlayers,
+            round: room.round,
+            isGameWide: true
+        };
+        if (isTeamMode(room)) {
+            data.teams = teamStandings(room);
+        }
+        return data;
+    }
+
+    // Send a results-sequence event to the display and every connected player
+    function emitToScreens(room, event, data) {
+        emitToDisplays(room, event, data);
+        room.players.forEach(player => {
+            if (player.isConnected && player.socketId) {
+                io.to(player.socketId).emit(event, data);
+            }
+        });
+    }
+
+    function recordResultsShown(room) {
+        repository.updateRoundTiming(room.currentRoundDbId, { results_shown_at: new Date(clock.now()).toISOString() })
+            .catch(error => logger.error('Error recording results shown time:', error));
+    }
+
+    // Auto-advance through results
+    function autoAdvanceResults(room) {
+        if (!room.currentResults || room.currentResultIndex >= room.currentResults.length - 1) {
+            // All results shown, show summary
+            scheduleResultsStep(room, autoShowSummary, 1000);
+            return;
+        }
+
+        room.currentResultIndex++;
+
+        if (room.currentResultIndex === 0) {
+            recordResultsShown(room);
+        }
+
+        logger.log(`Emitting exemplar ${room.currentResultIndex + 1}/${room.currentResults.length} to display`);
+        emitToScreens(room, 'show-exemplar-result', exemplarResultData(room, room.currentResultIndex));
+
+        // Schedule next result
+        scheduleResultsStep(room, autoAdvanceResults, room.timerSettings.exemplarResult * 1000);
+    }
+
+    // Auto-show summary
+    function autoShowSummary(room) {
+        emitToScreens(room, 'show-enhanced-summary', summaryData(room));
+
+        // Schedule scoreboard
+        scheduleResultsStep(room, autoShowScoreboard, room.timerSettings.summary * 1000);
+    }
+
+    // Auto-show scoreboard
+    function autoShowScoreboard(room) {
+        emitToScreens(room, 'show-round-scoreboard', scoreboardData(room));
+
+        // Schedule next round
+        scheduleResultsStep(room, prepareNextRound, room.timerSettings.scoreboard * 1000);
+    }
+
+    // Presenter mode: the host steps through every result, then the summary, then the scoreboard,
+    // and starts the next round when the discussion is done. Steps are numbered in that order.
+    function presenterStepCount(room) {
+        return room.currentResults.length + 2;
+    }
+
+    function presenterStepEvent(room, step) {
+        const resultCount = room.currentResults.length;
+        if (step < resultCount) return ['show-exemplar-result', exemplarResultData(room, step)];
+        if (step === resultCount) return ['show-enhanced-summary', summaryData(room)];
+        return ['show-round-scoreboard', scoreboardData(room)];
+    }
+
+    // Sockets that get the presenter controls: the controller displays and the creator's device
+    function presenterSocketIds(room) {
+        const socketIds = displaySocketIds(room, 'controller');
+        const creator = room.creatorPlayerId && room.players.get(room.creatorPlayerId);
+        if (creator && creator.isConnected && creator.socketId) socketIds.push(creator.socketId);
+        return socketIds;
+    }
+
+    function presenterStateData(room) {
+        const totalSteps = presenterStepCount(room);
+        return {
+            step: room.resultsCursor,
+            totalSteps,
+            canGoBack: room.resultsCursor > 0,
+            canGoForward: room.resultsCursor < totalSteps - 1,
+            canStartNextRound: room.resultsCursor === totalSteps - 1,
+            isLastRound: room.round >= room.maxRounds
+        };
+    }
+
+    function sendPresenterState(room, socketIds = presenterSocketIds(room)) {
+        const state = presenterStateData(room);
+        socketIds.forEach(socketId => io.to(socketId).emit('presenter-state', state));
+    }
+
+    function showPresenterStep(room, step) {
+        if (step === 0 && room.resultsCursor === -1) {
+            recordResultsShown(room);
+        }
+        room.resultsCursor = step;
+        room.currentResultIndex = Math.min(step, room.currentResults.length - 1);
+
+        const [event, data] = presenterStepEvent(room, step);
+        emitToScreens(room, event, data);
+        sendPresenterState(room);
+        saveRoomSnapshot(room);
+    }
+
+    function startPresenting(room) {
+        showPresenterStep(room, 0);
+    }
+
+    // Bring a display or creator that (re)joins mid-presentation back to the current step
+    function resendPresenterStep(room, socketId) {
+        if (room.gameState !== 'results' || !room.options.presenterMode || room.resultsCursor < 0) return;
+
+        const [event, data] = presenterStepEvent(room, room.resultsCursor);
+        io.to(socketId).emit(event, data);
+        if (presenterSocketIds(room).includes(socketId)) {
+            sendPresenterState(room, [socketId]);
+        }
+    }
+
+    // Results steps by function name, for rescheduling the pending step of a restored room
+    const RESULTS_STEPS = {
+        autoAdvanceResults,
+        autoShowSummary,
+        autoShowScoreboard,
+        startPresenting,
+        prepareNextRound
+    };
+
+    // Prepare next round (placeholder for category management)
+    async function prepareNextRound(room) {
+        room.round++;
+
+        if (room.round > room.maxRounds) {
+            await endGame(room);
+            return;
+        }
+
+        // Try to auto-select next category
+        const nextCategory = await selectNextCategory(room);
+
+        if (nextCategory) {
+            // Start round automatically with selected category
+            room.currentRoundDbId = await repository.startRound(room.dbGameId, room.round, nextCategory);
+            startSubmissionPhase(room, nextCategory);
+            logger.log(`Round ${room.round} started automatically with category "${nextCategory}"`);
+        } else {
+            // No categories available - wait for host to add more
+            room.gameState = 'waiting-for-category';
+            room.currentCategory = '';
+            room.submissions = [];
+            room.votingItems = [];
+
+            // Reset player status
+            room.players.forEach(player => {
+                player.hasSubmitted = false;
+                player.hasVoted = false;
+            });
+
+            const gameStateData = {
+                gameState: room.gameState,
+                round: room.round,
+                maxRounds: room.maxRounds,
+                needsMoreCategories: true,
+                players: Array.from(room.players.values()).map(p => ({
+                    nickname: p.nickname,
+                    score: p.score,
+                    hasSubmitted: p.hasSubmitted,
+                    hasVoted: p.hasVoted
+                }))
+            };
+
+            io.to(room.code).emit('game-state-update', gameStateData);
+
+            // Update display to show category needed
+            emitToDisplays(room, 'display-update', {
+                gameState: room.gameState,
+                round: room.round,
+                maxRounds: room.maxRounds,
+                totalPlayers: room.players.size,
+                needsMoreCategories: true
+            });
+
+            saveRoomSnapshot(room);
+            logger.log(`Round ${room.round} waiting - no categories available in room ${room.code}`);
+        }
+    }
+
+    // Fold the finished game into the category analytics in the background; a failed pass is
+    // retried on the next finished game or analytics request. A game that ends while the server
+    // stops is folded in after the next start.
+    function updateCategoryAnalytics() {
+        if (stopping) return;
+        analyticsUpdate = categoryAnalytics.catchUp().catch(error => {
+            logger.error('Error updating category analytics:', error);
+        });
+    }
+
+    async function endGame(room) {
+        room.gameState = 'game-complete';
+        room.round = room.maxRounds; // prevent overflow display (e.g. "Round 4/3")
+
+        if (room.currentTimer) {
+            room.currentTimer.cancel();
+        }
+
+        await repository.completeGame(room.code, room.maxRounds);
+        saveRoomSnapshot(room);
+        updateCategoryAnalytics();
+
+        const finalScores = Array.from(room.players.values()).map(p => ({
+            nickname: p.nickname,
+            score: p.score
+        })).sort((a, b) => b.score - a.score);
+
+        const finalTeams = isTeamMode(room) ? teamStandings(room) : undefined;
+
+        emitToDisplays(room, 'show-round-scoreboard', {
+            players: finalScores,
+            teams: finalTeams,
+            round: room.maxRounds,
+            maxRounds: room.maxRounds,
+            isGameWide: true,
+            isFinal: true,
+            isComplete: true
+        });
+
+        const gameCompleteData = {
+            gameState: 'game-complete',
+            finalScores: finalScores,
+            finalTeams,
+            round: room.maxRounds,
+            maxRounds: room.maxRounds
+        };
+
+        room.players.forEach(player => {
+            if (player.isConnected && player.socketId) {
+                io.to(player.socketId).emit('game-complete', gameCompleteData);
+            }
+        });
+        closeRoomBots(room.code);
+
+        logger.log(`Game completed in room ${room.code} after ${room.maxRounds} rounds`);
+    }
+
+    async function restartGame(room) {
+        room.gameState = 'lobby';
+        room.round = 0;
+        room.currentCategory = '';
+        room.submissions = [];
+        room.votingItems = [];
+        room.categorySubmissions = [];
+        room.currentResults = null;
+        room.currentResultIndex = -1;
+        room.resultsCursor = -1;
+        room.currentRoundDbId = null;
+
+        if (room.currentTimer) {
+            room.currentTimer.cancel();
+            room.currentTimer = null;
+            room.timerState = null;
+        }
+
+        room.players.forEach(player => {
+            player.score = 0;
+            player.hasSubmitted = false;
+            player.hasVoted = false;
+        });
+        // Teams carry over; the new game stores them again when it starts
+        room.teams.forEach(team => {
+            team.score = 0;
+            team.dbTeamId = null;
+        });
+
+        // Create a new game record for the restart (this is the key change)
+        room.dbGameId = await repository.createGame(room.code, room.hostSocketId, {
+            options: room.options,
+            timerSettings: room.timerSettings,
+            presetCategories: PRESET_CATEGORIES,
+            newSession: true
+        });
+        saveRoomSnapshot(room);
+
+        try {
+            broadcastGameState(room);
+        } catch (error) {
+            logger.error('Error broadcasting game state during restart:', error);
+        }
+
+        updateDisplay(room);
+
+        logger.log(`Game restarted in room ${room.code}`);
+    }
+
+    // Bots the host or creator added from the lobby, by room code (see bot-player.js)
+    const roomBots = new Map();
+    const MAX_BOTS_PER_ROOM = 12;
+    // Tokens handed to the bots addBots starts, each good for one join
+    const issuedBotTokens = new Set();
+
+    // Where bots started by this server connect to it
+    function ownUrl() {
+        const address = host && host !== '0.0.0.0' && host !== '::' ? host : 'localhost';
+        return `http://${address}:${server.address().port}`;
+    }
+
+    // First free "Bot <n>" name in the room, counting bots still joining
+    function botNickname(room, bots) {
+        const taken = new Set(Array.from(room.players.values(), p => p.nickname.toLowerCase()));
+        bots.forEach(bot => taken.add(bot.nickname.toLowerCase()));
+        let n = 1;
+        while (taken.has(`bot ${n}`)) n++;
+        return `Bot ${n}`;
+    }
+
+    // Join count bots to the room one at a time; resolves with them. A bot is listed before it
+    // joins, so requests made meanwhile neither reuse its name nor go over the limit.
+    async function addBots(room, count, strategyName) {
+        const bots = roomBots.get(room.code) || [];
+        roomBots.set(room.code, bots);
+
+        const added = [];
+        for (let i = 0; i < count; i++) {
+            const token = uuidv4();
+            const bot = new BotPlayer({
+                url: ownUrl(),
+                roomCode: room.code,
+                nickname: botNickname(room, bots),
+                strategy: botStrategies.createStrategy(strategyName),
+                token,
+                clock,
+                logger
+            });
+            bots.push(bot);
+            issuedBotTokens.add(token);
+            try {
+                await bot.join();
+            } catch (error) {
+                bots.splice(bots.indexOf(bot), 1);
+                throw error;
+            } finally {
+                issuedBotTokens.delete(token);
+            }
+            added.push(bot);
+        }
+        return added;
+    }
+
+    // Whether a joining player is a bot: one this server started, or one launched with an active
+    // research token (scripts/bots.js --token). The client's word alone is not enough.
+    async function isBotToken(token) {
+        if (typeof token !== 'string' || !token) return false;
+        if (issuedBotTokens.delete(token)) return true;
+        return !!(await researcherAuth.findActiveToken(queuedDb, token));
+    }
+
+    function closeRoomBots(roomCode) {
+        const bots = roomBots.get(roomCode);
+        if (!bots) return;
+        bots.forEach(bot => bot.close());
+        roomBots.delete(roomCode);
+    }
+
+    // Bring the schema up to date by applying any pending migrations (see db-migrations.js)
+    function initializeDatabase() {
+        return dbMigrations.runMigrations(db, { logger });
+    }
+
+    // Preset categories for research consistency
+    const PRESET_CATEGORIES = [
+        'furniture', 'tools', 'games', 'clothing', 'vehicles', 'food', 
+        'animals', 'colors', 'sports', 'music', 'technology', 'books',
+        'drinks', 'toys', 'plants', 'weather', 'emotions', 'professions'
+    ];
+
+    // Socket connection handling
+    io.on('connection', (socket) => {
+        logger.log('Client connected:', socket.id);
+        routeToRoomOwner(socket);
+        registerSocketHandlers(socket);
+    });
+
+    // Events that carry the code of the room they are for; any other event is for the room the
+    // socket already belongs to
+    const ROOM_CODE_EVENTS = ['join-room', 'reconnect-player', 'join-display'];
+
+    // New rooms always start on the instance the creating socket is connected to
+    const CREATE_ROOM_EVENTS = ['create-room', 'create-room-as-player'];
+
+    // Sockets connected here whose room runs on another instance: socketId -> roomCode
+    const remoteSocketRooms = new Map();
+
+    // Sockets connected to other instances whose events this instance handles: socketId -> proxy
+    const proxySockets = new Map();
+
+    // Instance that runs a room, taking the room over from its snapshot if its owner has gone away;
+    // null if no instance has the room
+    async function findRoomOwner(roomCode) {
+        if (rooms.has(roomCode)) return instanceId;
+
+        const owner = await roomStore.ownerOf(roomCode);
+        if (owner) return owner;
+
+        const saved = await roomStore.adopt(roomCode);
+        if (!saved) return null;
+        restoreRoom(saved);
+        return instanceId;
+    }
+
+    // Send events from sockets whose room runs on another instance to that instance. Events for rooms
+    // that run here, or that name no room, go on to the handlers below.
+    function routeToRoomOwner(socket) {
+        socket.use(([event, data], next) => {
+            const roomCode = CREATE_ROOM_EVENTS.includes(event) ? null
+                : ROOM_CODE_EVENTS.includes(event) && data && data.roomCode ? data.roomCode
+                : remoteSocketRooms.get(socket.id);
+            if (!roomCode || rooms.has(roomCode)) {
+                remoteSocketRooms.delete(socket.id);
+                next();
+                return;
+            }
+
+            findRoomOwner(roomCode).then(owner => {
+                if (!owner || owner === instanceId) {
+                    remoteSocketRooms.delete(socket.id);
+                    next();
+                    return;
+                }
+                remoteSocketRooms.set(socket.id, roomCode);
+                broadcaster.forward(owner, socket.id, event, data);
+            }).catch(error => {
+                logger.error(`Error routing ${event} for room ${roomCode}:`, error);
+                socket.emit('error', { message: 'Room is temporarily unavailable' });
+            });
+        });
+
+        socket.on('disconnect', () => {
+            const roomCode = remoteSocketRooms.get(socket.id);
+            if (!roomCode) return;
+            remoteSocketRooms.delete(socket.id);
+
+            findRoomOwner(roomCode).then(owner => {
+                if (owner && owner !== instanceId) {
+                    broadcaster.forward(owner, socket.id, 'disconnect');
+                }
+            }).catch(error => logger.error(`Error forwarding disconnect for room ${roomCode}:`, error));
+        });
+    }
+
+    // Stand-in for a socket connected to another instance. The handlers use it like a local socket;
+    // its emits and room joins reach the real socket through the broadcast adapter.
+    function createProxySocket(socketId) {
+        const handlers = new Map();
+        return {
+            id: socketId,
+            on(event, handler) {
+                handlers.set(event, handler);
+            },
+            emit(event, data) {
+                io.to(socketId).emit(event, data);
+            },
+            join(roomName) {
+                io.in(socketId).socketsJoin(roomName);
+            },
+            leave(roomName) {
+                io.in(socketId).socketsLeave(roomName);
+            },
+            receive(event, data) {
+                const handler = handlers.get(event);
+                // An event sent without data arrives as null after crossing Redis
+                if (handler) handler(data === null ? undefined : data);
+            }
+        };
+    }
+
+    function proxySocketFor(socketId) {
+        let proxy = proxySockets.get(socketId);
+        if (!proxy) {
+            proxy = createProxySocket(socketId);
+            registerSocketHandlers(proxy);
+            proxySockets.set(socketId, proxy);
+        }
+        return proxy;
+    }
+
+    // Run an event another instance forwarded from one of its sockets
+    function handleForwardedEvent({ socketId, event, data }) {
+        proxySocketFor(socketId).receive(event, data);
+        if (event === 'disconnect') {
+            proxySockets.delete(socketId);
+        }
+    }
+
+    function registerSocketHandlers(socket) {
+        socket.on('create-room', async (data = {}) => {
+            const { options, error } = normalizeRoomOptions(DEFAULT_ROOM_OPTIONS, data.options);
+            if (error) {
+                socket.emit('error', { message: error });
+                return;
+            }
+
+            const roomCode = await reserveRoomCode();
+            const room = createRoom(roomCode);
+            room.hostSocketId = socket.id;
+            room.options = options;
+            syncTeams(room);
+
+            room.dbGameId = await repository.createGame(roomCode, socket.id, {
+                options: room.options,
+                timerSettings: room.timerSettings,
+                presetCategories: PRESET_CATEGORIES
+            });
+
+            rooms.set(roomCode, room);
+            saveRoomSnapshot(room);
+
+            socket.join(roomCode);
+            // Only the creating screen learns the key; it needs it to come back as a controller
+            socket.emit('room-created', { roomCode, controllerKey: room.controllerKey });
+
+            logger.log(`Room ${roomCode} created by host ${socket.id}`);
+        });
+
+        // A player creates a room directly (hostless mode) — they join as both creator and player
+        socket.on('create-room-as-player', async (data) => {
+            const { nickname } = data;
+
+            if (!nickname || nickname.trim().length === 0) {
+                socket.emit('join-error', { message: 'Nickname required' });
+                return;
+            }
+
+            const { options, error } = normalizeRoomOptions(DEFAULT_ROOM_OPTIONS, data.options);
+            if (error) {
+                socket.emit('join-error', { message: error });
+                return;
+            }
+
+            const roomCode = await reserveRoomCode();
+            const room = createRoom(roomCode);
+            room.options = options;
+
+            room.dbGameId = await repository.createGame(roomCode, socket.id, {
+                options: room.options,
+                timerSettings: room.timerSettings,
+                presetCategories: PRESET_CATEGORIES
+            });
+            rooms.set(roomCode, room);
+
+            // Register as a player
+            const playerId = uuidv4();
+            const dbPlayerId = await repository.addPlayer(playerId, socket.id, nickname.trim(), room.dbGameId);
+
+            room.players.set(playerId, {
+                playerId,
+                dbPlayerId,
+                socketId: socket.id,
+                nickname: nickname.trim(),
+                score: 0,
+                hasSubmitted: false,
+                hasVoted: false,
+                isConnected: true
+            });
+            await placeNewPlayer(room, playerId);
+
+            room.creatorPlayerId = playerId;
+            room.originalCreatorPlayerId = playerId;
+            saveRoomSnapshot(room);
+
+            updateSocketMapping(socket.id, roomCode, playerId);
+            socket.join(roomCode);
+
+            // Save data to send back
+            socket.emit('join-success', {
+                roomCode,
+                playerId,
+                nickname: nickname.trim(),
+                isCreator: true,
+                ...roomOptionsData(room)
+            });
+
+            broadcastGameState(room);
+
+            logger.log(`Room ${roomCode} created by player ${nickname} (hostless mode)`);
+        });
+
+            // Player joins room
+        socket.on('join-room', async (data) => {
+            const { roomCode, nickname, botToken } = data;
+            const room = rooms.get(roomCode);
+
+            if (!room) {
+                socket.emit('join-error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!nickname || nickname.trim().length === 0) {
+                socket.emit('join-error', { message: 'Nickname required' });
+                return;
+            }
+
+            // Check if there's a disconnected player with the same nickname — if so, treat as reconnect
+            const disconnectedMatch = Array.from(room.players.values())
+                .find(p => !p.isConnected && p.nickname.toLowerCase() === nickname.trim().toLowerCase());
+            if (disconnectedMatch) {
+                logger.log(`Player ${nickname} rejoining via nickname match in room ${roomCode}`);
+                await handlePlayerReconnection(socket, roomCode, disconnectedMatch.playerId);
+                return;
+            }
+
+            // Check if nickname already taken by an active player
+            const existingNicknames = Array.from(room.players.values())
+                .filter(p => p.isConnected)
+                .map(p => p.nickname.toLowerCase());
+            if (existingNicknames.includes(nickname.trim().toLowerCase())) {
+                socket.emit('join-error', { message: 'Nickname already taken' });
+                return;
+            }
+
+            // Create persistent playerId
+            const playerId = uuidv4();
+
+            try {
+                const isBot = await isBotToken(botToken);
+                // Log in DB (include playerId if you update schema)
+                const dbPlayerId = await repository.addPlayer(playerId, socket.id, nickname.trim(), room.dbGameId, { isBot });
+
+                room.players.set(playerId, {
+                    playerId,
+                    dbPlayerId,
+                    socketId: socket.id,
+                    nickname: nickname.trim(),
+                    score: 0,
+                    hasSubmitted: false,
+                    hasVoted: false,
+                    isConnected: true,
+                    isBot
+                });
+                await placeNewPlayer(room, playerId);
+                saveRoomSnapshot(room);
+
+                 updateSocketMapping(socket.id, roomCode, playerId);
+
+                socket.join(roomCode);
+
+                socket.emit('join-success', { roomCode, playerId, nickname: nickname.trim() });
+
+                try {
+                    broadcastGameState(room);
+                } catch (error) {
+                    logger.error('Error broadcasting game state:', error);
+                }
+
+                emitToDisplays(room, 'player-joined', { nickname: nickname.trim() });
+
+
+                logger.log(`Player ${nickname} joined room ${roomCode} with playerId ${playerId}`);
+            } catch (error) {
+                logger.error('Error creating player:', error);
+                socket.emit('join-error', { message: 'Failed to join game' });
+            }
+        });
+
+        // Enhanced reconnection handler
+        socket.on('reconnect-player', async ({ roomCode, playerId }) => {
+            await handlePlayerReconnection(socket, roomCode, playerId);
+        });
+
+        socket.on('submit-category', async (data) => {
+            const { category } = data;
+            const mapping = socketToPlayer.get(socket.id);
+
+            if (!mapping) {
+                socket.emit('error', { message: 'Not in a room' });
+                return;
+            }
+
+            const room = rooms.get(mapping.roomCode);
+            const player = room.players.get(mapping.playerId);
+
+            if (!room || !player) {
+                socket.emit('error', { message: 'Player not found' });
+                return;
+            }
+
+            if (room.gameState !== 'lobby') {
+                socket.emit('error', { message: 'Not in lobby phase' });
+                return;
+            }
+
+            if (!category || category.trim().length === 0 || category.trim().length > 50) {
+                socket.emit('error', { message: 'Invalid category' });
+                return;
+            }
+
+            const cleanCategory = category.trim().toLowerCase();
+
+            // Log to database for research purposes
+            try {
+                // Log to database for research purposes
+                await repository.addCategory(room.dbGameId, player.dbPlayerId, cleanCategory, false);
+
+                // Add to room's category submissions for display
+                room.categorySubmissions.push({
+                    playerId: mapping.playerId,
+                    nickname: player.nickname,
+                    category: cleanCategory
+                });
+                saveRoomSnapshot(room);
+
+                // Send confirmation to submitter
+                socket.emit('category-submitted', { category: cleanCategory });
+
+                // Broadcast the new submission to all players in the room for the live feed
+                io.to(mapping.roomCode).emit('category-added', {
+                    nickname: player.nickname,
+                    category: cleanCategory
+                });
+
+                // FIXED: Always send to display AND broadcast room update
+                emitToDisplays(room, 'categories-update', {
+                    categorySubmissions: room.categorySubmissions
+                });
+
+                // Also broadcast a room update so everyone stays in sync
+                try {
+                    broadcastGameState(room);
+                } catch (error) {
+                    logger.error('Error broadcasting game state after category submission:', error);
+                }
+
+                logger.log(`Player ${player.nickname} submitted category "${cleanCategory}"`);
+            } catch (error) {
+                logger.error('Error handling category submission:', error);
+                socket.emit('error', { message: 'Failed to submit category' });
+            }
+        });
+
+        // Host or creator fills the lobby with bot players
+        socket.on('add-bots', async (data = {}) => {
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can add bots' });
+                return;
+            }
+
+            if (room.gameState !== 'lobby') {
+                socket.emit('error', { message: 'Bots can only be added in the lobby' });
+                return;
+            }
+
+            const { count = 1, strategy = 'random' } = data;
+            const existing = (roomBots.get(room.code) || []).length;
+            if (!Number.isInteger(count) || count < 1 || existing + count > MAX_BOTS_PER_ROOM) {
+                socket.emit('error', { message: `A room can have up to ${MAX_BOTS_PER_ROOM} bots (${existing} added)` });
+                return;
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(botStrategies.STRATEGIES, strategy)) {
+                socket.emit('error', { message: `Unknown bot strategy "${strategy}"` });
+                return;
+            }
+
+            try {
+                const added = await addBots(room, count, strategy);
+                socket.emit('bots-added', { nicknames: added.map(bot => bot.nickname), strategy });
+                logger.log(`Added ${added.length} ${strategy} bot(s) to room ${room.code}`);
+            } catch (error) {
+                logger.error('Error adding bots:', error.message);
+                socket.emit('error', { message: 'Failed to add bots' });
+            }
+        });
+
+        // Host adds category via display interface
+        socket.on('host-add-category', async (data) => {
+            const { category } = data;
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can add categories' });
+                return;
+            }
+
+            if (!category || category.trim().length === 0) {
+                socket.emit('error', { message: 'Category cannot be empty' });
+                return;
+            }
+
+            const cleanCategory = category.trim().toLowerCase();
+
+            await repository.addCategory(room.dbGameId, null, cleanCategory, false);
+
+            room.categorySubmissions.push({
+                playerId: 'host',
+                nickname: 'Host',
+                category: cleanCategory
+            });
+            saveRoomSnapshot(room);
+
+            socket.emit('category-added', { category: cleanCategory });
+            socket.emit('categories-update', {
+                categorySubmissions: room.categorySubmissions
+            });
+
+            logger.log(`Host added category "${cleanCategory}" in room ${room.code}`);
+        });
+
+        socket.on('error', (error) => {
+            logger.error('Socket error for', socket.id, ':', error);
+        });
+
+        socket.on('connect_error', (error) => {
+            logger.error('Socket connect error for', socket.id, ':', error);
+        });
+
+        // Start game from lobby phase
+        socket.on('start-lobby-game', async (data) => {
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can start the game' });
+                return;
+            }
+
+            if (room.players.size < 2) {
+                socket.emit('error', { message: 'Need at least 2 players to start' });
+                return;
+            }
+
+            if (isTeamMode(room)) {
+                syncTeams(room);
+                if (room.teams.filter(team => teamMemberIds(room, team).length > 0).length < 2) {
+                    socket.emit('error', { message: 'Team mode needs players on at least 2 teams' });
+                    return;
+                }
+            }
+
+            // Start first round
+            room.round = 1;
+            const firstCategory = await selectNextCategory(room);
+
+            if (firstCategory) {
+                if (isTeamMode(room)) {
+                    try {
+                        await storeTeams(room);
+                    } catch (error) {
+                        socket.emit('error', { message: 'Failed to save teams' });
+                        return;
+                    }
+                }
+                room.currentRoundDbId = await repository.startRound(room.dbGameId, room.round, firstCategory);
+                startSubmissionPhase(room, firstCategory);
+
+                // Broadcast game start
+                try {
+                    broadcastGameState(room);
+                } catch (error) {
+                    logger.error('Error broadcasting game state:', error);
+                }
+
+                logger.log(`Game started in room ${room.code} with category "${firstCategory}"`);
+            } else {
+                socket.emit('error', { message: 'Unable to start game - no categories available' });
+            }
+        });
+
+        socket.on('set-max-rounds', (data) => {
+            const { maxRounds } = data;
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                logger.error(`Room not found for socket ${socket.id} in set-max-rounds`);
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            // Verify this is the host, display, or room creator
+            if (!isHostAuthorized(room, socket.id)) {
+                logger.error(`Unauthorized max-rounds request from socket ${socket.id}`);
+                socket.emit('error', { message: 'Only host can set max rounds' });
+                return;
+            }
+
+            if (!Number.isInteger(maxRounds) || maxRounds < 1 || maxRounds > 50) {
+                socket.emit('error', { message: 'Round limit must be between 1 and 50' });
+                return;
+            }
+
+            room.maxRounds = maxRounds;
+            saveRoomSnapshot(room);
+
+            // Send confirmation to the requester
+            socket.emit('max-rounds-updated', { maxRounds });
+
+            // Update display if this wasn't sent from display
+            emitToDisplays(room, 'max-rounds-updated', { maxRounds }, socket.id);
+
+            // Update the display state
+            updateDisplay(room);
+
+            logger.log(`Max rounds set to ${maxRounds} in room ${room.code} by socket ${socket.id}`);
+        });
+
+        // Change research settings (scoring rule, etc.) before the game starts
+        socket.on('set-room-options', async (data = {}) => {
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can change game settings' });
+                return;
+            }
+
+            if (room.gameState !== 'lobby') {
+                socket.emit('error', { message: 'Settings can only be changed in the lobby' });
+                return;
+            }
+
+            const { options, error } = normalizeRoomOptions(room.options, data.options);
+            if (error) {
+                socket.emit('error', { message: error });
+                return;
+            }
+
+            try {
+                await repository.updateGameOptions(room.dbGameId, options);
+            } catch (err) {
+                socket.emit('error', { message: 'Failed to save settings' });
+                return;
+            }
+            room.options = options;
+            syncTeams(room);
+            saveRoomSnapshot(room);
+            emitRoomOptions(room, socket);
+            broadcastGameState(room);
+
+            logger.log(`Room options updated in room ${room.code}:`, options);
+        });
+
+        // Team mode: move a player to a team, optionally making them its captain, before the game starts
+        socket.on('assign-team', (data = {}) => {
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can assign teams' });
+                return;
+            }
+
+            if (room.gameState !== 'lobby') {
+                socket.emit('error', { message: 'Teams can only be changed in the lobby' });
+                return;
+            }
+
+            if (!isTeamMode(room)) {
+                socket.emit('error', { message: 'Team mode is off' });
+                return;
+            }
+
+            const { nickname, team: teamNumber, captain } = data;
+            const entry = Array.from(room.players.entries())
+                .find(([, p]) => typeof nickname === 'string' && p.nickname.toLowerCase() === nickname.trim().toLowerCase());
+            const team = findTeam(room, teamNumber);
+            if (!entry) {
+                socket.emit('error', { message: 'Player not found' });
+                return;
+            }
+            if (!team) {
+                socket.emit('error', { message: `team must be a number from 1 to ${room.teams.length}` });
+                return;
+            }
+
+            const [playerId, player] = entry;
+            player.teamId = team.number;
+            if (captain) team.captainId = playerId;
+            syncTeams(room);
+            saveRoomSnapshot(room);
+            broadcastGameState(room);
+
+            logger.log(`${player.nickname} assigned to ${team.name}${captain ? ' as captain' : ''} in room ${room.code}`);
+        });
+
+        // Team mode: let the server deal every player out to even teams
+        socket.on('balance-teams', () => {
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can assign teams' });
+                return;
+            }
+
+            if (room.gameState !== 'lobby') {
+                socket.emit('error', { message: 'Teams can only be changed in the lobby' });
+                return;
+            }
+
+            if (!isTeamMode(room)) {
+                socket.emit('error', { message: 'Team mode is off' });
+                return;
+            }
+
+            balanceTeams(room);
+            saveRoomSnapshot(room);
+            broadcastGameState(room);
+
+            logger.log(`Teams balanced in room ${room.code}`);
+        });
+
+        // Change phase timers before the game starts
+        socket.on('set-timer-settings', async (data = {}) => {
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can change timers' });
+                return;
+            }
+
+            if (room.gameState !== 'lobby') {
+                socket.emit('error', { message: 'Timers can only be changed in the lobby' });
+                return;
+            }
+
+            const { timerSettings, error } = normalizeTimerSettings(room.timerSettings, data);
+            if (error) {
+                socket.emit('error', { message: error });
+                return;
+            }
+
+            try {
+                await repository.updateGameTimerSettings(room.dbGameId, timerSettings);
+            } catch (err) {
+                socket.emit('error', { message: 'Failed to save timers' });
+                return;
+            }
+            room.timerSettings = timerSettings;
+            saveRoomSnapshot(room);
+            emitRoomOptions(room, socket);
+
+            logger.log(`Timer settings updated in room ${room.code}:`, timerSettings);
+        });
+
+        // Host or creator strikes, restores or edits an exemplar in the moderation queue
+        socket.on('moderate-exemplar', async (data) => {
+            const room = findRoomBySocketId(socket.id);
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only the host can moderate exemplars' });
+                return;
+            }
+
+            if (room.gameState !== 'moderating' || room.closingModeration) {
+                socket.emit('error', { message: 'Exemplars can only be moderated before voting opens' });
+                return;
+            }
+
+            const { submissionId, action, exemplar, reason } = data || {};
+            const submission = room.submissions.find(s => s.dbSubmissionId === submissionId);
+            if (!submission) {
+                socket.emit('error', { message: 'Exemplar not found' });
+                return;
+            }
+
+            const { STATUS } = exemplarModeration;
+            if (action === 'strike') {
+                submission.moderationStatus = STATUS.STRUCK;
+                submission.moderationReason = typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 200) : 'host';
+            } else if (action === 'restore') {
+                submission.exemplar = submission.originalExemplar;
+                submission.moderationStatus = STATUS.APPROVED;
+                submission.moderationReason = null;
+            } else if (action === 'edit') {
+                const edit = exemplarModeration.validateEdit(exemplar);
+                if (edit.error) {
+                    socket.emit('error', { message: edit.error });
+                    return;
+                }
+                submission.exemplar = edit.exemplar;
+                submission.moderationStatus = edit.exemplar === submission.originalExemplar ? STATUS.APPROVED : STATUS.EDITED;
+                submission.moderationReason = null;
+            } else {
+                socket.emit('error', { message: `Unknown moderation action "${action}"` });
+                return;
+            }
+
+            try {
+                await repository.updateSubmissionModeration(submission);
+            } catch (error) {
+                socket.emit('error', { message: 'Failed to save moderation decision' });
+                return;
+            }
+
+            saveRoomSnapshot(room);
+            sendModerationQueue(room);
+            logger.log(`Exemplar ${submissionId} ${action} in room ${room.code}`);
+        });
+
+        // Host or creator is done reviewing; voting opens
+        socket.on('finish-moderation', async () => {
+            const room = findRoomBySocketId(socket.id);
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only the host can open voting' });
+                return;
+            }
+
+            if (room.gameState !== 'moderating') {
+                socket.emit('error', { message: 'No moderation in progress' });
+                return;
+            }
+
+            if (room.paused) {
+                socket.emit('error', { message: 'Resume the game before opening voting' });
+                return;
+            }
+
+            await finishModeration(room);
+        });
+
+        // Host or creator pauses the running phase (timer and results sequence)
+        socket.on('pause-game', () => {
+            const room = findRoomBySocketId(socket.id);
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can pause the game' });
+                return;
+            }
+
+            const error = pauseGame(room);
+            if (error) {
+                socket.emit('error', { message: error });
+            }
+        });
+
+        socket.on('resume-game', () => {
+            const room = findRoomBySocketId(socket.id);
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can resume the game' });
+                return;
+            }
+
+            const error = resumeGame(room);
+            if (error) {
+                socket.emit('error', { message: error });
+            }
+        });
+
+        // Host or creator drops the current category and draws a replacement
+        socket.on('skip-category', async (data = {}) => {
+            const room = findRoomBySocketId(socket.id);
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can skip the category' });
+                return;
+            }
+
+            const reason = typeof data.reason === 'string' ? data.reason.trim().slice(0, MAX_SKIP_REASON_LENGTH) : '';
+            const error = await skipCategory(room, { reason: reason || null, skippedBy: 'host' });
+            if (error) {
+                socket.emit('error', { message: error });
+            }
+        });
+
+        // Player votes to skip the category; enough votes skip it as if the host had
+        socket.on('vote-skip-category', async () => {
+            const mapping = socketToPlayer.get(socket.id);
+            const room = mapping && rooms.get(mapping.roomCode);
+            if (!room || !room.players.has(mapping.playerId)) {
+                socket.emit('error', { message: 'Not in a room' });
+                return;
+            }
+
+            const needed = skipVotesNeeded(room);
+            if (needed === null) {
+                socket.emit('error', { message: 'Skip voting is turned off in this room' });
+                return;
+            }
+
+            if (room.gameState !== 'submitting') {
+                socket.emit('error', { message: 'Skip votes are only taken while exemplars are being submitted' });
+                return;
+            }
+
+            if (room.paused) {
+                socket.emit('error', { message: 'Game is paused' });
+                return;
+            }
+
+            room.skipVotes.add(mapping.playerId);
+            saveRoomSnapshot(room);
+            emitToScreens(room, 'skip-vote-update', skipVoteData(room));
+
+            if (room.skipVotes.size >= needed) {
+                const error = await skipCategory(room, { reason: 'Players voted to skip', skippedBy: 'players' });
+                if (error) {
+                    logger.log(`Skip vote passed in room ${room.code} but the category was kept: ${error}`);
+                }
+            }
+        });
+
+        // Presenter mode: move forward or back through results, the summary and the scoreboard
+        socket.on('results-step', (data = {}) => {
+            const room = findRoomBySocketId(socket.id);
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can step through results' });
+                return;
+            }
+
+            if (room.gameState !== 'results' || !room.options.presenterMode || room.resultsCursor < 0) {
+                socket.emit('error', { message: 'Results are not being presented' });
+                return;
+            }
+
+            if (room.paused) {
+                socket.emit('error', { message: 'Game is paused' });
+                return;
+            }
+
+            const offset = data.direction === 'previous' ? -1 : data.direction === 'next' ? 1 : 0;
+            const step = room.resultsCursor + offset;
+            if (offset === 0 || step < 0 || step >= presenterStepCount(room)) {
+                socket.emit('error', { message: 'No result in that direction' });
+                return;
+            }
+
+            showPresenterStep(room, step);
+        });
+
+        // Presenter mode: leave the scoreboard for the next round (or the end of the game)
+        socket.on('start-next-round', async () => {
+            const room = findRoomBySocketId(socket.id);
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can start the next round' });
+                return;
+            }
+
+            if (room.gameState !== 'results' || !room.options.presenterMode ||
+                room.resultsCursor !== presenterStepCount(room) - 1) {
+                socket.emit('error', { message: 'Show the scoreboard before starting the next round' });
+                return;
+            }
+
+            if (room.paused) {
+                socket.emit('error', { message: 'Game is paused' });
+                return;
+            }
+
+            room.resultsCursor = -1;
+            await prepareNextRound(room);
+        });
+
+        socket.on('restart-game', async () => {
+            logger.log('Restart game requested by socket:', socket.id);
+            const room = findRoomBySocketId(socket.id);
+            logger.log('Found room:', room ? room.code : 'null');
+
+            if (!room) {
+                logger.log('Room not found for socket:', socket.id);
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!isHostAuthorized(room, socket.id)) {
+                socket.emit('error', { message: 'Only host can restart the game' });
+                return;
+            }
+
+            logger.log('Room state:', room.gameState);
+            if (room.gameState !== 'game-complete') {
+                socket.emit('error', { message: 'Can only restart completed games' });
+                return;
+            }
+
+            await restartGame(room);
+        });
+
+        // Display or spectator screen connects to room; any number can follow the same room
+        socket.on('join-display', (data) => {
+            const { roomCode, role = 'viewer', controllerKey } = data;
+            const room = rooms.get(roomCode);
+
+            if (!room) {
+                logger.error(`Display trying to join non-existent room: ${roomCode}`);
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            if (!DISPLAY_ROLES.includes(role)) {
+                socket.emit('error', { message: `Display role must be one of ${DISPLAY_ROLES.join(', ')}` });
+                return;
+            }
+
+            if (role === 'controller' && room.hostSocketId !== socket.id && controllerKey !== room.controllerKey) {
+                socket.emit('error', { message: 'Only the host screen can control this room; join as a viewer' });
+                return;
+            }
+
+            registerDisplay(socket, room, role);
+        });
+
+        // Player submits exemplar
+        socket.on('submit-exemplar', async (data) => {
+            const mapping = socketToPlayer.get(socket.id);
+
+            if (!mapping) {
+                socket.emit('error', { message: 'Not in a room' });
+                return;
+            }
+            const room = rooms.get(mapping.roomCode);
+            const player = room.players.get(mapping.playerId);
+
+            if (!room || !player) {
+                socket.emit('error', { message: 'Player not found' });
+                return;
+            }
+
+            if (room.gameState !== 'submitting' || room.closingSubmissions) {
+                socket.emit('error', { message: 'Not in submission phase' });
+                return;
+            }
+
+            if (room.paused) {
+                socket.emit('error', { message: 'Game is paused' });
+                return;
+            }
+
+            if (player.hasSubmitted) {
+                socket.emit('error', { message: 'Already submitted' });
+                return;
+            }
+
+            const team = isTeamMode(room) ? findTeam(room, player.teamId) : null;
+            if (team && room.options.teamMode === 'captain' && actingCaptainId(room, team) !== mapping.playerId) {
+                socket.emit('error', { message: 'Your team captain submits for the team' });
+                return;
+            }
+
+            const { exemplar, clientPhaseStartedAt, clientSubmittedAt } = data;
+
+            if (!exemplar || exemplar.trim().length === 0) {
+                socket.emit('error', { message: 'Exemplar cannot be empty' });
+                return;
+            }
+            try {
+                const submissionDbId = await repository.addSubmission(room.currentRoundDbId, player.dbPlayerId, exemplar.trim(), {
+                    responseTimeMs: serverResponseTime(room),
+                    clientResponseTimeMs: clientElapsed(clientPhaseStartedAt, clientSubmittedAt)
+                }, { teamId: team && team.dbTeamId });
+
+                const submission = {
+                    playerId: mapping.playerId,  // Use playerId, not socketId
+                    nickname: player.nickname,
+                    exemplar: exemplar.trim(),          // Text voters see; the host may edit it
+                    originalExemplar: exemplar.trim(),  // Text as submitted
+                    dbSubmissionId: submissionDbId,
+                    moderationStatus: null,
+                    moderationReason: null,
+                    teamId: team ? team.number : null
+                };
+                room.submissions.push(submission);
+
+                // The blocklist runs on every submission, whether or not the room has a moderation queue
+                const blockedTerm = exemplarModeration.findBlockedTerm(submission.exemplar, exemplarBlocklist);
+                if (blockedTerm) {
+                    submission.moderationStatus = exemplarModeration.STATUS.STRUCK;
+                    submission.moderationReason = 'blocklist';
+                    await repository.updateSubmissionModeration(submission);
+                    logger.log(`Submission from ${player.nickname} struck by blocklist in room ${room.code}`);
+                }
+
+                player.hasSubmitted = true;
+                // A captain's exemplar is the whole team's
+                if (team && room.options.teamMode === 'captain') {
+                    teamMemberIds(room, team).forEach(memberId => { room.players.get(memberId).hasSubmitted = true; });
+                }
+                saveRoomSnapshot(room);
+                socket.emit('submission-confirmed', { exemplar: exemplar.trim() });
+
+                // Single broadcast handles all updates
+                try {
+                    broadcastGameState(room);
+                } catch (error) {
+                    logger.error('Error broadcasting game state:', error);
+                }
+
+                // Check for early completion
+                checkSubmissionComplete(room);
+
+                logger.log(`Player ${player.nickname} submitted "${exemplar}"`);
+            } catch (error) {
+                logger.error('Error submitting exemplar:', error);
+                socket.emit('error', { message: 'Failed to submit exemplar' });
+            }
+        });
+
+
+        socket.on('submit-votes', async (data) => {
+            const mapping = socketToPlayer.get(socket.id);
+
+            if (!mapping) {
+                socket.emit('error', { message: 'Not in a room' });
+                return;
+            }
+
+            const room = rooms.get(mapping.roomCode);
+            const player = room.players.get(mapping.playerId);
+
+            if (!room || !player) {
+                socket.emit('error', { message: 'Player not found' });
+                return;
+            }
+
+            if (room.gameState !== 'voting') {
+                socket.emit('error', { message: 'Not in voting phase' });
+                return;
+            }
+
+            if (room.paused) {
+                socket.emit('error', { message: 'Game is paused' });
+                return;
+            }
+
+            if (player.hasVoted) {
+                socket.emit('error', { message: 'Already voted' });
+                return;
+            }
+
+            const { votes, voteTimes, clientPhaseStartedAt, clientSubmittedAt } = data;
+
+            // Marked before the ballot is stored, so a second ballot sent meanwhile is turned away
+            player.hasVoted = true;
+
+            // One server latency for the whole ballot; the client reports when each item was decided
+            const responseTimeMs = serverResponseTime(room);
+            const ballotClientTime = clientElapsed(clientPhaseStartedAt, clientSubmittedAt);
+
+            try {
+                // Collect the whole ballot first; it is stored in one transaction and only then counted
+                const scale = ratingScale(room);
+                const ballot = [];
+                for (const [exemplarIndex, vote] of Object.entries(votes || {})) {
+                    const index = parseInt(exemplarIndex, 10);
+                    if (Number.isInteger(index) && room.votingItems[index]) {
+                        const item = room.votingItems[index];
+                        const isSelfVote = item.playerIds.includes(mapping.playerId);
+                        // Own exemplars the player was not shown cannot be voted on
+                        if (isSelfVote && !showsOwnExemplar(room)) continue;
+
+                        const decidedAt = voteTimes && voteTimes[exemplarIndex];
+                        const clientResponseTimeMs = decidedAt !== undefined
+                            ? clientElapsed(clientPhaseStartedAt, decidedAt)
+                            : ballotClientTime;
+                        const timing = { responseTimeMs, clientResponseTimeMs };
+
+                        if (vote === ABSTAIN) {
+                            if (!room.options.allowAbstain) continue;
+                            ballot.push({ item, value: ABSTAIN, response: { abstained: true, isSelfVote }, timing });
+                        } else if (scale) {
+                            // Ratings outside the room's scale are dropped rather than clamped
+                            if (!Number.isInteger(vote) || vote < scale.min || vote > scale.max) continue;
+                            ballot.push({ item, value: vote, response: { rating: vote, isSelfVote }, timing });
+                        } else {
+                            ballot.push({ item, value: !!vote, response: { vote: !!vote, isSelfVote }, timing });
+                        }
+                    }
+                }
+
+                // Fill in the submitter's own vote when the room auto-fills self-votes
+                if (room.options.selfVotePolicy === 'auto') {
+                    const ownItem = room.votingItems.find(item => item.playerIds.includes(mapping.playerId));
+                    if (ownItem) {
+                        const autoVote = scale ? scale.max : true;
+                        ballot.push({
+                            item: ownItem,
+                            value: autoVote,
+                            response: scale ? { rating: autoVote, isSelfVote: true } : { vote: autoVote, isSelfVote: true },
+                            timing: { responseTimeMs }
+                        });
+                    }
+                }
+
+                await repository.recordBallot(player.dbPlayerId, ballot.map(({ item, response, timing }) => ({
+                    submissionId: item.dbSubmissionId,
+                    response,
+                    timing
+                })));
+                ballot.forEach(({ item, value }) => item.votes.set(mapping.playerId, value));
+
+                saveRoomSnapshot(room);
+
+                // FIXED: Only send vote count updates, not full game state
+                // This prevents rebuilding the voting interface for players who haven't voted yet
+                broadcastVoteCountUpdate(room);
+
+                // Check for early completion
+                checkVotingComplete(room);
+
+                logger.log(`Player ${player.nickname} voted in room ${room.code}`);
+            } catch (error) {
+                // Nothing was stored, so the player may send the ballot again
+                player.hasVoted = false;
+                logger.error('Error submitting votes:', error);
+                socket.emit('error', { message: 'Failed to submit votes' });
+            }
+        });
+
+
+        // Host/Display ends game
+        socket.on('end-game', async () => {
+            const room = findRoomBySocketId(socket.id);
+
+            if (!room) {
+                socket.emit('error', { message: 'Room not found' });
+                return;
+            }
+
+            // Verify this is the host or display
+            if (room.hostSocketId !== socket.id && room.displays.get(socket.id) !== 'controller') {
+                socket.emit('error', { message: 'Only host can end the game' });
+                return;
+            }
+
+            room.gameState = 'ended';
+            await repository.completeGame(room.code, room.round);
+            saveRoomSnapshot(room);
+            updateCategoryAnalytics();
+
+            const finalScores = Array.from(room.players.values()).map(p => ({
+                nickname: p.nickname,
+                score: p.score
+            })).sort((a, b) => b.score - a.score);
+            const finalTeams = isTeamMode(room) ? teamStandings(room) : undefined;
+
+            // Send to all connected players
+            room.players.forEach(player => {
+                if (player.isConnected && player.socketId) {
+                    io.to(player.socketId).emit('game-ended', { finalScores, finalTeams });
+                }
+            });
+            closeRoomBots(room.code);
+
+            emitToDisplays(room, 'show-round-scoreboard', {
+                players: finalScores,
+                teams: finalTeams,
+                round: room.round,
+                isGameWide: true,
+                isFinal: true
+            });
+
+            logger.log(`Game ended in room ${room.code}`);
+        });
+
+        socket.on('leave-game', async () => {
+            logger.log('Player requesting to leave game:', socket.id);
+
+            const mapping = socketToPlayer.get(socket.id);
+            if (!mapping) {
+                logger.log('No mapping found for socket:', socket.id);
+                return;
+            }
+
+            const room = rooms.get(mapping.roomCode);
+            if (!room) {
+                logger.log('No room found for code:', mapping.roomCode);
+                removeSocketMapping(socket.id);
+                return;
+            }
+
+            const player = room.players.get(mapping.playerId);
+            if (player) {
+                // Mark player as disconnected
+                player.isConnected = false;
+                player.socketId = null;
+
+                try {
+                    await repository.setPlayerConnected(mapping.playerId, false);
+                    await repository.recordPlayerLeft(socket.id, room.dbGameId);
+                } catch (error) {
+                    logger.error('Error updating player leave status:', error);
+                }
+
+                // Remove from room if game is complete (optional cleanup)
+                if (room.gameState === 'game-complete') {
+                    room.players.delete(mapping.playerId);
+                }
+                saveRoomSnapshot(room);
+
+                logger.log(`Player ${player.nickname} left room ${mapping.roomCode}`);
+
+                // Broadcast update to remaining players
+                try {
+                    broadcastGameState(room);
+                } catch (error) {
+                    logger.error('Error broadcasting game state after leave:', error);
+                }
+
+                // Update display
+                emitToDisplays(room, 'player-left', { nickname: player.nickname });
+                updateDisplay(room);
+            }
+
+            // Clean up socket mapping
+            removeSocketMapping(socket.id);
+
+            // Leave the socket room
+            socket.leave(mapping.roomCode);
+
+            logger.log(`Socket ${socket.id} left game and cleaned up mappings`);
+        });
+
+        // Handle disconnections
+        socket.on('disconnect', async () => {
+            logger.log('Client disconnected:', socket.id);
+
+            // Sockets closed by stop() keep their players; the rooms carry on after a restart or takeover
+            if (stopping) return;
+
+            // Display screens are not mapped to a player; the others keep following the room
+            for (const displayRoom of rooms.values()) {
+                if (displayRoom.displays.delete(socket.id)) {
+                    logger.log(`Display disconnected from room ${displayRoom.code} (${displayRoom.displays.size} screen(s) left)`);
+                }
+            }
+
+            const mapping = socketToPlayer.get(socket.id);
+            if (!mapping) return;
+
+            const room = rooms.get(mapping.roomCode);
+            if (!room) {
+                removeSocketMapping(socket.id);
+                return;
+            }
+
+            if (room.hostSocketId === socket.id) {
+                // Host/display screen disconnected — notify players to show reconnecting overlay
+                room.hostSocketId = null;
+                room.players.forEach(player => {
+                    if (player.isConnected && player.socketId) {
+                        io.to(player.socketId).emit('host-reconnecting');
+                    }
+                });
+                // Give the host 5 minutes to reconnect before ending the session
+                const HOST_GRACE_MS = 5 * 60 * 1000;
+                schedule(() => {
+                    if (rooms.has(mapping.roomCode) && !room.hostSocketId) {
+                        // Host never came back — notify players the session has ended
+                        room.players.forEach(player => {
+                            if (player.isConnected && player.socketId) {
+                                io.to(player.socketId).emit('host-disconnected');
+                            }
+                        });
+                        rooms.delete(mapping.roomCode);
+                        closeRoomBots(mapping.roomCode);
+                        roomStore.release(mapping.roomCode)
+                            .catch(error => logger.error('Error releasing room:', error));
+                        logger.log(`Room ${mapping.roomCode} deleted after host grace period`);
+                    }
+                }, HOST_GRACE_MS);
+
+                logger.log(`Host disconnected from room ${mapping.roomCode}`);
+
+            } else {
+                // Player disconnected
+                const player = room.players.get(mapping.playerId);
+                if (player) {
+                    player.isConnected = false;
+                    player.socketId = null;
+
+                    try {
+                        await repository.setPlayerConnected(mapping.playerId, false);
+                    } catch (error) {
+                        logger.error('Error updating player connection status:', error);
+                    }
+
+                    // Notify peers of disconnect
+                    broadcastPlayerStatus(room, player.nickname, 'disconnected');
+
+                    // Broadcast updated game state to remaining players
+                    try {
+                        broadcastGameState(room);
+                    } catch (error) {
+                        logger.error('Error broadcasting game state:', error);
+                    }
+
+                    // Re-check completion in case all remaining players already submitted/voted
+                    if (room.gameState === 'submitting') {
+                        checkSubmissionComplete(room);
+                    } else if (room.gameState === 'voting') {
+                        checkVotingComplete(room);
+                    }
+
+                    logger.log(`Player ${player.nickname} disconnected from room ${mapping.roomCode}`);
+
+                    // If the disconnected player was the creator, schedule role reassignment
+                    if (room.creatorPlayerId === mapping.playerId) {
+                        const CREATOR_GRACE_MS = 30 * 1000;
+                        schedule(() => {
+                            // Only promote if the creator is still absent
+                            const maybeReturned = room.players.get(mapping.playerId);
+                            if (maybeReturned && maybeReturned.isConnected) return;
+
+                            // Pick the earliest-joined connected player (Map insertion order)
+                            const nextEntry = Array.from(room.players.entries())
+                                .find(([id, p]) => p.isConnected && p.socketId && id !== mapping.playerId);
+                            if (!nextEntry) return;
+
+                            const [newCreatorId, newCreatorPlayer] = nextEntry;
+                            room.creatorPlayerId = newCreatorId;
+                            io.to(newCreatorPlayer.socketId).emit('creator-promoted', roomOptionsData(room));
+                            broadcastGameState(room);
+                            if (room.gameState === 'moderating') {
+                                sendModerationQueue(room, [newCreatorPlayer.socketId]);
+                            }
+                            resendPresenterStep(room, newCreatorPlayer.socketId);
+                            logger.log(`Creator role promoted to ${newCreatorPlayer.nickname} in room ${mapping.roomCode}`);
+                        }, CREATOR_GRACE_MS);
+                    }
+
+                    // After 5 minutes, permanently remove the ghost slot and re-check completion
+                    const PLAYER_GRACE_MS = 5 * 60 * 1000;
+                    schedule(() => {
+                        const currentPlayer = room.players.get(mapping.playerId);
+                        if (currentPlayer && !currentPlayer.isConnected) {
+                            room.players.delete(mapping.playerId);
+                            if (isTeamMode(room)) syncTeams(room);
+                            logger.log(`Player ${player.nickname} removed after grace period in room ${mapping.roomCode}`);
+                            // Re-check completion now that the ghost slot is gone
+                            if (room.gameState === 'submitting') {
+                                checkSubmissionComplete(room);
+                            } else if (room.gameState === 'voting') {
+                                checkVotingComplete(room);
+                            }
+                        }
+                    }, PLAYER_GRACE_MS);
+                }
+            }
+            removeSocketMapping(socket.id);
+        });
+    }
+
+    // How long a restored room waits for its players before carrying on without the missing ones
+    const RESTORE_RECONNECT_GRACE_MS = 30 * 1000;
+
+    // Rebuild a room from its snapshot, after a restart or when taking it over from an instance that
+    // went away. The time in between is treated as a pause, so timers and the results sequence pick
+    // up where they stopped.
+    function restoreRoom({ snapshot, savedAt }) {
+        const room = createRoom(snapshot.code);
+        const { timer, resultsStep, paused, sockets } = roomSnapshots.applySnapshot(room, snapshot, savedAt, clock.now());
+        rooms.set(room.code, room);
+
+        if (paused) {
+            room.paused = { pausedAt: clock.now() };
+        }
+        if (room.currentRoundDbId && PAUSABLE_STATES.includes(room.gameState)) {
+            repository.updateRoundTiming(room.currentRoundDbId, { paused_ms: room.roundPausedMs })
+                .catch(error => logger.error('Error recording restart downtime:', error));
+        }
+
+        if (timer && PHASE_TIMER_HANDLERS[timer.phase]) {
+            room.currentTimer = createPhaseTimer(room, timer.phase, timer.remaining);
+            room.timerState = {
+                remaining: timer.remaining,
+                phase: timer.phase,
+                gameState: room.gameState,
+                timestamp: clock.now()
+            };
+            room.currentTimer.restoreState(timer);
+            if (paused) {
+                room.currentTimer.pause();
+            }
+        }
+
+        if (resultsStep && RESULTS_STEPS[resultsStep.name]) {
+            room.resultsStep = {
+                step: RESULTS_STEPS[resultsStep.name],
+                dueAt: clock.now() + resultsStep.remainingMs,
+                remainingMs: resultsStep.remainingMs,
+                timeout: null
+            };
+            if (!paused) {
+                startResultsStep(room);
+            }
+        }
+
+        schedule(() => {
+            room.players.forEach(player => {
+                player.reconnectPending = false;
+            });
+            if (room.gameState === 'submitting') {
+                checkSubmissionComplete(room);
+            } else if (room.gameState === 'voting') {
+                checkVotingComplete(room);
+            }
+        }, RESTORE_RECONNECT_GRACE_MS);
+
+        const reattaching = reattachSockets(room, sockets)
+            .catch(error => logger.error(`Error reattaching sockets in room ${room.code}:`, error))
+            .then(() => pendingReattachments.delete(reattaching));
+        pendingReattachments.add(reattaching);
+
+        logger.log(`Room ${room.code} restored in ${room.gameState} (round ${room.round}/${room.maxRounds})`);
+        return room;
+    }
+
+    // A socket connected here, a proxy for one still connected to another instance, or null
+    async function findSocket(socketId) {
+        const local = io.sockets.sockets.get(socketId);
+        if (local) return local;
+
+        const remote = await io.in(socketId).fetchSockets();
+        return remote.length > 0 ? proxySocketFor(socketId) : null;
+    }
+
+    // Sockets that were in a taken-over room and are still connected rejoin it as if they had reconnected
+    async function reattachSockets(room, sockets) {
+        for (const [playerId, socketId] of sockets.players) {
+            if (stopping) return;
+            const socket = await findSocket(socketId);
+            if (socket) {
+                await handlePlayerReconnection(socket, room.code, playerId);
+            }
+        }
+        for (const [socketId, role] of sockets.displays) {
+            if (stopping) return;
+            const socket = await findSocket(socketId);
+            if (socket) {
+                registerDisplay(socket, room, role);
+            }
+        }
+    }
+
+    // Take over every saved room that no running instance owns
+    async function restoreRooms() {
+        const saved = await roomStore.adoptOrphans();
+        saved.forEach(restoreRoom);
+
+        if (saved.length > 0) {
+            logger.log(`Restored ${saved.length} room(s) from snapshots`);
+        }
+    }
+
+    // Connect the room store and the broadcast layer, shared through Redis when REDIS_URL is set
+    async function connectSharedState() {
+        const databaseId = await repository.databaseId();
+        roomStore = roomStores.createRoomStore({ db: queuedDb, databaseId, instanceId, redisUrl, logger, clock });
+        broadcaster = roomBroadcast.createBroadcaster(io, { instanceId, redisUrl, logger });
+        await roomStore.connect();
+        await broadcaster.connect();
+        broadcaster.onForwarded(handleForwardedEvent);
+    }
+
+    // The database is opened asynchronously, so resolve it per request rather than at route definition
+    const requireResearcher = (req, res, next) => researcherAuth.requireResearcher(queuedDb, logger)(req, res, next);
+
+    // Researcher login exchanges a token for a session cookie
+    app.post('/research/login', (req, res) => researcherAuth.loginHandler(queuedDb, logger)(req, res));
+    app.post('/research/logout', (req, res) => researcherAuth.logoutHandler(queuedDb, logger)(req, res));
+
+    // Stream an audited export; headers may already be sent when a page query fails
+    async function sendExport(req, res, dataset, format) {
+        const { filters, error } = researchExport.parseFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        let auditId;
+        try {
+            auditId = await researcherAuth.recordExport(queuedDb, req, `${dataset}.${format}`, filters);
+            const rowCount = await researchExport.streamExport(queuedDb, res, { dataset, format, filters });
+            await researcherAuth.completeExport(queuedDb, auditId, 'completed', rowCount);
+            logger.log(`Export ${dataset}.${format} (${rowCount} rows) sent to ${req.researcher.label}`);
+        } catch (error) {
+            logger.error(`Export ${dataset}.${format} failed:`, error.message);
+            if (auditId) researcherAuth.completeExport(queuedDb, auditId, 'failed').catch(() => {});
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Export failed' });
+            } else {
+                res.destroy();
+            }
+        }
+    }
+
+    // Legacy flattened games/rounds/submissions/votes join
+    app.get('/export/csv', requireResearcher, (req, res) => sendExport(req, res, 'flat', 'csv'));
+
+    // List exportable tables and formats
+    app.get('/export/tables', requireResearcher, (req, res) => {
+        res.json({
+            tables: researchExport.TABLES,
+            formats: Object.keys(researchExport.FORMATS),
+            filters: ['from', 'to', 'room_code', 'session_number', 'status']
+        });
+    });
+
+    // Tidy per-table export, e.g. /export/votes.ndjson?room_code=ABCD&from=2025-01-01
+    app.get('/export/:table.:format', requireResearcher, (req, res) => {
+        const { table, format } = req.params;
+        if (!researchExport.TABLES.includes(table)) {
+            return res.status(404).json({ error: `Unknown table "${table}"` });
+        }
+        if (!researchExport.FORMATS[format]) {
+            return res.status(404).json({ error: `Unknown format "${format}"` });
+        }
+        sendExport(req, res, table, format);
+    });
+
+    // Cross-game category analytics behind the dashboard at /analytics.html
+    async function sendAnalytics(res, report) {
+        try {
+            res.json(await report());
+        } catch (error) {
+            logger.error('Category analytics failed:', error.message);
+            res.status(500).json({ error: 'Analytics unavailable' });
+        }
+    }
+
+    // Every category with its exemplars, yes-proportions and boundary sharpness
+    app.get('/analytics/categories', requireResearcher, (req, res) => {
+        sendAnalytics(res, () => categoryAnalytics.categories());
+    });
+
+    // Exemplars that split the room most consistently, e.g. /analytics/controversial?limit=50&min_appearances=3
+    app.get('/analytics/controversial', requireResearcher, (req, res) => {
+        const { options, error } = parseControversyQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        sendAnalytics(res, () => categoryAnalytics.controversial(options));
+    });
+
+    // Resolves with { port } once the database is ready, saved rooms are restored and the server is
+    // listening
+    async function start() {
+        await initializeDatabaseWithStorage();
+        await connectSharedState();
+        await restoreRooms();
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.off('error', reject);
+                resolve();
+            });
+        });
+        const listeningPort = server.address().port;
+        logger.log(`Server running on port ${listeningPort} (instance ${instanceId})`);
+        return { port: listeningPort };
+    }
+
+    // Close connections and timers, save every room and upload a last database snapshot. Rooms keep
+    // their snapshots, so a server started on the same database (or another instance) carries them on.
+    function stop() {
+        if (!stopping) {
+            // Deferred so stopping is already set when io.close() disconnects the sockets
+            stopping = Promise.resolve().then(shutdown);
+        }
+        return stopping;
+    }
+
+    async function shutdown() {
+        // Bots would otherwise keep reconnecting to the closed server
+        Array.from(roomBots.keys()).forEach(closeRoomBots);
+        // Closing io unsubscribes the Redis adapter, so lookups still in flight would never hear back
+        await Promise.all(pendingReattachments);
+        await new Promise(resolve => io.close(() => resolve()));
+
+        pendingTimers.forEach(handle => cancelScheduled(handle));
+        if (storage) {
+            storage.stopPeriodicSync();
+        }
+
+        if (roomStore) {
+            await Promise.all(Array.from(rooms.values(), saveRoomSnapshot));
+            await roomStore.close();
+        }
+        if (broadcaster) {
+            await broadcaster.close();
+        }
+
+        if (db) {
+            await analyticsUpdate;
+            await repository.close();
+            if (storage) {
+                await storage.uploadDatabase(queuedDb);
+            }
+            await new Promise((resolve, reject) => db.close(err => err ? reject(err) : resolve()));
+        }
+        logger.log(`Server stopped (instance ${instanceId})`);
+    }
+
+    return { app, io, server, rooms, start, stop };
+}
+
+module.exports = {
+    createGameServer
+};
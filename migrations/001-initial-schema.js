@@ -0,0 +1,108 @@
+/**
+ * The original schema. Databases created before migrations were versioned already have these
+ * tables, so every statement is IF NOT EXISTS; the oldest of them also lack games.session_number.
+ * Each later change to the schema is a migration of its own.
+ */
+
+const { exec, run, all } = require('../db-migrations');
+
+async function up(db, logger) {
+    await exec(db, `
+        CREATE TABLE IF NOT EXISTS games (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_code TEXT NOT NULL UNIQUE,
+            session_number INTEGER DEFAULT 1,
+            gm_id TEXT,
+            started_at DATETIME,
+            ended_at DATETIME,
+            total_rounds INTEGER DEFAULT 0,
+            status TEXT DEFAULT 'active',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS players (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            socket_id TEXT NOT NULL,
+            player_id TEXT UNIQUE NOT NULL,
+            nickname TEXT NOT NULL,
+            game_id INTEGER NOT NULL,
+            final_score INTEGER DEFAULT 0,
+            is_connected INTEGER DEFAULT 1,
+            joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            left_at DATETIME,
+            FOREIGN KEY (game_id) REFERENCES games(id),
+            UNIQUE(socket_id, game_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS rounds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            round_number INTEGER NOT NULL,
+            category TEXT NOT NULL,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            submission_ended_at DATETIME,
+            voting_ended_at DATETIME,
+            results_shown_at DATETIME,
+            total_submissions INTEGER DEFAULT 0,
+            total_votes INTEGER DEFAULT 0,
+            FOREIGN KEY (game_id) REFERENCES games(id),
+            UNIQUE(game_id, round_number)
+        );
+
+        CREATE TABLE IF NOT EXISTS submissions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            round_id INTEGER NOT NULL,
+            player_id INTEGER NOT NULL,
+            exemplar TEXT NOT NULL,
+            submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            points_earned INTEGER DEFAULT 0,
+            yes_votes INTEGER DEFAULT 0,
+            no_votes INTEGER DEFAULT 0,
+            FOREIGN KEY (round_id) REFERENCES rounds(id),
+            FOREIGN KEY (player_id) REFERENCES players(id),
+            UNIQUE(round_id, player_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS votes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            submission_id INTEGER NOT NULL,
+            voter_player_id INTEGER NOT NULL,
+            vote BOOLEAN NOT NULL,
+            voted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (submission_id) REFERENCES submissions(id),
+            FOREIGN KEY (voter_player_id) REFERENCES players(id),
+            UNIQUE(submission_id, voter_player_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS categories (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            submitted_by_player_id INTEGER,
+            category_text TEXT NOT NULL,
+            is_preset BOOLEAN DEFAULT 0,
+            was_used BOOLEAN DEFAULT 0,
+            submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games(id),
+            FOREIGN KEY (submitted_by_player_id) REFERENCES players(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_categories_game_id ON categories(game_id);
+        CREATE INDEX IF NOT EXISTS idx_categories_used ON categories(was_used);
+
+        CREATE INDEX IF NOT EXISTS idx_games_room_code ON games(room_code);
+        CREATE INDEX IF NOT EXISTS idx_players_game_id ON players(game_id);
+        CREATE INDEX IF NOT EXISTS idx_rounds_game_id ON rounds(game_id);
+        CREATE INDEX IF NOT EXISTS idx_submissions_round_id ON submissions(round_id);
+        CREATE INDEX IF NOT EXISTS idx_submissions_player_id ON submissions(player_id);
+        CREATE INDEX IF NOT EXISTS idx_votes_submission_id ON votes(submission_id);
+        CREATE INDEX IF NOT EXISTS idx_votes_voter_id ON votes(voter_player_id);
+    `);
+
+    const columns = await all(db, 'PRAGMA table_info(games)');
+    if (!columns.some(col => col.name === 'session_number')) {
+        logger.log('Adding session_number column to games table');
+        await run(db, 'ALTER TABLE games ADD COLUMN session_number INTEGER DEFAULT 1');
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,50 @@
+/**
+ * Researcher accounts (see researcher-auth.js): hashed access tokens, the login sessions issued
+ * for them and an audit row for every export.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        CREATE TABLE IF NOT EXISTS researcher_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            label TEXT NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            source TEXT NOT NULL DEFAULT 'cli',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME,
+            revoked_at DATETIME
+        );
+
+        CREATE TABLE IF NOT EXISTS researcher_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token_id INTEGER NOT NULL,
+            session_hash TEXT NOT NULL UNIQUE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            FOREIGN KEY (token_id) REFERENCES researcher_tokens(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS export_audit (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token_id INTEGER,
+            researcher TEXT NOT NULL,
+            export_type TEXT NOT NULL,
+            filters TEXT,
+            status TEXT DEFAULT 'started',
+            row_count INTEGER,
+            ip_address TEXT,
+            user_agent TEXT,
+            requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            FOREIGN KEY (token_id) REFERENCES researcher_tokens(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_researcher_sessions_token_id ON researcher_sessions(token_id);
+        CREATE INDEX IF NOT EXISTS idx_export_audit_token_id ON export_audit(token_id);
+    `);
+}
+
+module.exports = { up };
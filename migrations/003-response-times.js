@@ -0,0 +1,17 @@
+/**
+ * How long each player took to submit and to vote, measured on the server and as reported by the
+ * client.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        ALTER TABLE submissions ADD COLUMN response_time_ms INTEGER;
+        ALTER TABLE submissions ADD COLUMN client_response_time_ms INTEGER;
+        ALTER TABLE votes ADD COLUMN response_time_ms INTEGER;
+        ALTER TABLE votes ADD COLUMN client_response_time_ms INTEGER;
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,11 @@
+/**
+ * The scoring rule a game was played with (see scoring-rules.js).
+ */
+
+const { run } = require('../db-migrations');
+
+async function up(db) {
+    await run(db, "ALTER TABLE games ADD COLUMN scoring_rule TEXT DEFAULT 'min'");
+}
+
+module.exports = { up };
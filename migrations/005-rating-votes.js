@@ -0,0 +1,41 @@
+/**
+ * Rating votes: a game's vote mode and scale, each vote's rating and each submission's rating
+ * mean and variance. A rating vote has no yes/no value, so votes.vote must allow NULL; SQLite
+ * cannot drop NOT NULL in place, so the votes table is rebuilt with its rows copied across.
+ */
+
+const { exec, all } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        ALTER TABLE games ADD COLUMN vote_mode TEXT DEFAULT 'binary';
+        ALTER TABLE games ADD COLUMN rating_min INTEGER;
+        ALTER TABLE games ADD COLUMN rating_max INTEGER;
+        ALTER TABLE submissions ADD COLUMN rating_mean REAL;
+        ALTER TABLE submissions ADD COLUMN rating_variance REAL;
+    `);
+
+    const copied = (await all(db, 'PRAGMA table_info(votes)')).map(col => col.name).join(', ');
+    await exec(db, `
+        CREATE TABLE votes_migrated (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            submission_id INTEGER NOT NULL,
+            voter_player_id INTEGER NOT NULL,
+            vote BOOLEAN,
+            rating INTEGER,
+            voted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            response_time_ms INTEGER,
+            client_response_time_ms INTEGER,
+            FOREIGN KEY (submission_id) REFERENCES submissions(id),
+            FOREIGN KEY (voter_player_id) REFERENCES players(id),
+            UNIQUE(submission_id, voter_player_id)
+        );
+        INSERT INTO votes_migrated (${copied}) SELECT ${copied} FROM votes;
+        DROP TABLE votes;
+        ALTER TABLE votes_migrated RENAME TO votes;
+        CREATE INDEX IF NOT EXISTS idx_votes_submission_id ON votes(submission_id);
+        CREATE INDEX IF NOT EXISTS idx_votes_voter_id ON votes(voter_player_id);
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,16 @@
+/**
+ * "Not sure" votes: whether a game allows them, which votes were abstentions and how many each
+ * submission received.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        ALTER TABLE games ADD COLUMN allow_abstain BOOLEAN DEFAULT 0;
+        ALTER TABLE votes ADD COLUMN abstained BOOLEAN DEFAULT 0;
+        ALTER TABLE submissions ADD COLUMN abstain_votes INTEGER DEFAULT 0;
+    `);
+}
+
+module.exports = { up };
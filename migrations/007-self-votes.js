@@ -0,0 +1,14 @@
+/**
+ * A game's self-vote policy, and which votes were cast on the voter's own exemplar.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        ALTER TABLE games ADD COLUMN self_vote_policy TEXT DEFAULT 'include';
+        ALTER TABLE votes ADD COLUMN is_self_vote BOOLEAN DEFAULT 0;
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,15 @@
+/**
+ * Duplicate exemplars (see exemplar-matching.js): each submission's normalized form, and the
+ * submission a duplicate was merged into.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        ALTER TABLE submissions ADD COLUMN normalized_exemplar TEXT;
+        ALTER TABLE submissions ADD COLUMN canonical_submission_id INTEGER;
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,19 @@
+/**
+ * The host moderation queue (see exemplar-moderation.js): whether a game moderates, each
+ * submission's decision and any edit, and when a round's moderation closed.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        ALTER TABLE games ADD COLUMN moderation_enabled BOOLEAN DEFAULT 0;
+        ALTER TABLE submissions ADD COLUMN moderation_status TEXT;
+        ALTER TABLE submissions ADD COLUMN moderation_reason TEXT;
+        ALTER TABLE submissions ADD COLUMN moderated_exemplar TEXT;
+        ALTER TABLE submissions ADD COLUMN moderated_at DATETIME;
+        ALTER TABLE rounds ADD COLUMN moderation_ended_at DATETIME;
+    `);
+}
+
+module.exports = { up };
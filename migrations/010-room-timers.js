@@ -0,0 +1,19 @@
+/**
+ * The timer settings each game was played with, in seconds.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        ALTER TABLE games ADD COLUMN timer_submission INTEGER;
+        ALTER TABLE games ADD COLUMN timer_voting_per_exemplar INTEGER;
+        ALTER TABLE games ADD COLUMN timer_voting_minimum INTEGER;
+        ALTER TABLE games ADD COLUMN timer_moderation INTEGER;
+        ALTER TABLE games ADD COLUMN timer_exemplar_result INTEGER;
+        ALTER TABLE games ADD COLUMN timer_summary INTEGER;
+        ALTER TABLE games ADD COLUMN timer_scoreboard INTEGER;
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,11 @@
+/**
+ * How long each round spent paused, so phase durations can leave it out.
+ */
+
+const { run } = require('../db-migrations');
+
+async function up(db) {
+    await run(db, 'ALTER TABLE rounds ADD COLUMN paused_ms INTEGER DEFAULT 0');
+}
+
+module.exports = { up };
@@ -0,0 +1,11 @@
+/**
+ * Whether the host stepped through a game's results by hand.
+ */
+
+const { run } = require('../db-migrations');
+
+async function up(db) {
+    await run(db, 'ALTER TABLE games ADD COLUMN presenter_mode BOOLEAN DEFAULT 0');
+}
+
+module.exports = { up };
@@ -0,0 +1,46 @@
+/**
+ * Skipping and replacing a round: when and why a round was skipped, the skip votes it got and a
+ * game's skip-vote threshold. A skipped round keeps its row and the replacement is logged as the
+ * next attempt at the same round number, so UNIQUE(game_id, round_number) has to include attempt;
+ * SQLite cannot change a constraint in place, so the rounds table is rebuilt.
+ */
+
+const { exec, run, all } = require('../db-migrations');
+
+// Submissions reference rounds, so foreign keys stay off while the table is swapped
+const foreignKeys = false;
+
+async function up(db) {
+    await run(db, 'ALTER TABLE games ADD COLUMN skip_vote_threshold INTEGER DEFAULT 0');
+
+    const copied = (await all(db, 'PRAGMA table_info(rounds)')).map(col => col.name).join(', ');
+    await exec(db, `
+        CREATE TABLE rounds_migrated (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            round_number INTEGER NOT NULL,
+            category TEXT NOT NULL,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            submission_ended_at DATETIME,
+            moderation_ended_at DATETIME,
+            voting_ended_at DATETIME,
+            results_shown_at DATETIME,
+            total_submissions INTEGER DEFAULT 0,
+            total_votes INTEGER DEFAULT 0,
+            paused_ms INTEGER DEFAULT 0,
+            attempt INTEGER DEFAULT 1,
+            skipped_at DATETIME,
+            skip_reason TEXT,
+            skipped_by TEXT,
+            skip_votes INTEGER,
+            FOREIGN KEY (game_id) REFERENCES games(id),
+            UNIQUE(game_id, round_number, attempt)
+        );
+        INSERT INTO rounds_migrated (${copied}) SELECT ${copied} FROM rounds;
+        DROP TABLE rounds;
+        ALTER TABLE rounds_migrated RENAME TO rounds;
+        CREATE INDEX IF NOT EXISTS idx_rounds_game_id ON rounds(game_id);
+    `);
+}
+
+module.exports = { foreignKeys, up };
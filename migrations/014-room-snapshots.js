@@ -0,0 +1,20 @@
+/**
+ * Live room state saved as it changes (see room-snapshots.js), so rooms can be restored after a
+ * restart.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        CREATE TABLE IF NOT EXISTS room_snapshots (
+            room_code TEXT PRIMARY KEY,
+            game_id INTEGER,
+            game_state TEXT,
+            snapshot TEXT NOT NULL,
+            saved_at DATETIME NOT NULL
+        );
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,12 @@
+/**
+ * Bot players (see bot-player.js) take part like anyone else, so their rows are flagged for
+ * analyses to leave out.
+ */
+
+const { run } = require('../db-migrations');
+
+async function up(db) {
+    await run(db, 'ALTER TABLE players ADD COLUMN is_bot BOOLEAN DEFAULT 0');
+}
+
+module.exports = { up };
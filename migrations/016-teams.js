@@ -0,0 +1,33 @@
+/**
+ * Team mode: players can be split into teams that each put forward one exemplar per round and
+ * pool their points. A game's teams get rows of their own; each player row points at its team,
+ * and each submission records the team it was made for and whether it became the team's entry.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        ALTER TABLE games ADD COLUMN team_mode TEXT DEFAULT 'off';
+        ALTER TABLE games ADD COLUMN team_count INTEGER;
+
+        CREATE TABLE IF NOT EXISTS teams (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            team_number INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            captain_player_id TEXT,
+            final_score INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games(id),
+            UNIQUE(game_id, team_number)
+        );
+        CREATE INDEX IF NOT EXISTS idx_teams_game_id ON teams(game_id);
+
+        ALTER TABLE players ADD COLUMN team_id INTEGER REFERENCES teams(id);
+        ALTER TABLE submissions ADD COLUMN team_id INTEGER REFERENCES teams(id);
+        ALTER TABLE submissions ADD COLUMN is_team_entry BOOLEAN DEFAULT 0;
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,41 @@
+/**
+ * Running totals behind the category analytics (see category-analytics.js). Each finished game is
+ * folded in once, recorded in analytics_games, so the totals never have to be rebuilt from every
+ * round ever played.
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        CREATE TABLE IF NOT EXISTS analytics_games (
+            game_id INTEGER PRIMARY KEY,
+            ingested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS analytics_categories (
+            category TEXT PRIMARY KEY,
+            games INTEGER DEFAULT 0,
+            rounds INTEGER DEFAULT 0,
+            updated_at DATETIME
+        );
+
+        CREATE TABLE IF NOT EXISTS analytics_exemplars (
+            category TEXT NOT NULL,
+            normalized_exemplar TEXT NOT NULL,
+            exemplar TEXT NOT NULL,
+            submissions INTEGER DEFAULT 0,
+            appearances INTEGER DEFAULT 0,
+            yes_votes INTEGER DEFAULT 0,
+            no_votes INTEGER DEFAULT 0,
+            yes_proportion_sum REAL DEFAULT 0,
+            decisiveness_sum REAL DEFAULT 0,
+            min_split REAL,
+            updated_at DATETIME,
+            PRIMARY KEY (category, normalized_exemplar)
+        );
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,18 @@
+/**
+ * Facts about the database file itself. database_id is made on first start (and again after a
+ * restore); instances sharing rooms through Redis save it with each room, so a room is only taken
+ * over by an instance using the database its game rows are in (see room-store.js).
+ */
+
+const { exec } = require('../db-migrations');
+
+async function up(db) {
+    await exec(db, `
+        CREATE TABLE IF NOT EXISTS database_info (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+    `);
+}
+
+module.exports = { up };
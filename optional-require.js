@@ -0,0 +1,19 @@
+/**
+ * Optional dependencies
+ * Packages only some deployments need (Redis clients, cloud storage SDKs) are optionalDependencies
+ * in package.json, so an install may lack them. requireOptional loads one; when it is missing it
+ * throws MODULE_NOT_FOUND with a message naming what needs the package and how to install it.
+ */
+
+function requireOptional(packageName, neededBy) {
+    try {
+        return require(packageName);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND' || !error.message.includes(`'${packageName}'`)) throw error;
+        const missing = new Error(`${neededBy} needs the ${packageName} package; run npm install ${packageName}`);
+        missing.code = 'MODULE_NOT_FOUND';
+        throw missing;
+    }
+}
+
+module.exports = { requireOptional };
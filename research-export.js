@@ -0,0 +1,276 @@
+/**
+ * Research data export
+ * Streams each table (or the legacy flattened join) as CSV, JSON or NDJSON,
+ * filtered by date range, room code, session number and game status
+ */
+
+const PAGE_SIZE = 500;
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Every dataset joins through games (alias g) so the same filters apply everywhere, and pages on
+// its keys in order: each key's SQL expression and the column it comes back as.
+const DATASETS = {
+    games: {
+        select: 'g.*',
+        from: 'games g',
+        keys: [{ expression: 'g.id', column: 'id' }]
+    },
+    players: {
+        select: 'g.room_code, g.session_number, p.*',
+        from: 'players p JOIN games g ON p.game_id = g.id',
+        keys: [{ expression: 'p.id', column: 'id' }]
+    },
+    teams: {
+        select: 'g.room_code, g.session_number, t.*',
+        from: 'teams t JOIN games g ON t.game_id = g.id',
+        keys: [{ expression: 't.id', column: 'id' }]
+    },
+    rounds: {
+        select: 'g.room_code, g.session_number, r.*',
+        from: 'rounds r JOIN games g ON r.game_id = g.id',
+        keys: [{ expression: 'r.id', column: 'id' }]
+    },
+    submissions: {
+        select: 'g.room_code, g.session_number, r.round_number, r.category, s.*',
+        from: 'submissions s JOIN rounds r ON s.round_id = r.id JOIN games g ON r.game_id = g.id',
+        keys: [{ expression: 's.id', column: 'id' }]
+    },
+    votes: {
+        select: 'g.room_code, g.session_number, r.round_number, s.round_id, v.*',
+        from: `votes v
+            JOIN submissions s ON v.submission_id = s.id
+            JOIN rounds r ON s.round_id = r.id
+            JOIN games g ON r.game_id = g.id`,
+        keys: [{ expression: 'v.id', column: 'id' }]
+    },
+    categories: {
+        select: 'g.room_code, g.session_number, c.*',
+        from: 'categories c JOIN games g ON c.game_id = g.id',
+        keys: [{ expression: 'c.id', column: 'id' }]
+    },
+    flat: {
+        select: `
+            g.room_code,
+            g.session_number,
+            g.created_at as game_start,
+            g.ended_at as game_end,
+            r.round_number,
+            r.attempt as round_attempt,
+            r.category,
+            r.skipped_at as round_skipped_at,
+            p.nickname as submitter,
+            s.exemplar,
+            s.normalized_exemplar,
+            s.canonical_submission_id,
+            s.moderation_status,
+            s.moderated_exemplar,
+            s.points_earned,
+            s.yes_votes,
+            s.no_votes,
+            s.abstain_votes,
+            v.vote as voter_choice,
+            v.abstained as voter_abstained,
+            v.is_self_vote as voter_is_self,
+            voter.nickname as voter_name,
+            s.id as submission_id,
+            v.id as vote_id`,
+        from: `games g
+            JOIN rounds r ON g.id = r.game_id
+            JOIN submissions s ON r.id = s.round_id
+            JOIN players p ON s.player_id = p.id
+            LEFT JOIN votes v ON COALESCE(s.canonical_submission_id, s.id) = v.submission_id
+            LEFT JOIN players voter ON v.voter_player_id = voter.id`,
+        // A submission repeats once per vote (or once with no vote), so the join pages on both ids
+        keys: [{ expression: 's.id', column: 'submission_id' }, { expression: 'COALESCE(v.id, 0)', column: 'vote_id' }]
+    }
+};
+
+const TABLES = Object.keys(DATASETS).filter(name => name !== 'flat');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+
+/**
+ * Validate export query parameters; returns { filters } or { error }
+ */
+function parseFilters(query) {
+    const filters = {};
+
+    for (const key of ['from', 'to']) {
+        if (query[key] !== undefined) {
+            if (!DATE_PATTERN.test(query[key]) || isNaN(Date.parse(query[key]))) {
+                return { error: `"${key}" must be an ISO date (YYYY-MM-DD or full timestamp)` };
+            }
+            filters[key] = query[key];
+        }
+    }
+
+    if (query.room_code !== undefined) {
+        if (!/^[A-Z0-9]{4}$/i.test(query.room_code)) {
+            return { error: '"room_code" must be a 4-character room code' };
+        }
+        filters.room_code = query.room_code.toUpperCase();
+    }
+
+    if (query.session_number !== undefined) {
+        const sessionNumber = parseInt(query.session_number, 10);
+        if (!Number.isInteger(sessionNumber) || sessionNumber < 1 || String(sessionNumber) !== String(query.session_number)) {
+            return { error: '"session_number" must be a positive integer' };
+        }
+        filters.session_number = sessionNumber;
+    }
+
+    if (query.status !== undefined) {
+        if (!/^[a-z-]{1,20}$/.test(query.status)) {
+            return { error: '"status" is not a valid game status' };
+        }
+        filters.status = query.status;
+    }
+
+    return { filters };
+}
+
+function buildWhere(filters) {
+    const clauses = [];
+    const params = [];
+
+    if (filters.from) {
+        clauses.push('g.started_at >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        // A bare date means "through the end of that day"
+        clauses.push(filters.to.length === 10 ? 'g.started_at < date(?, \'+1 day\')' : 'g.started_at <= ?');
+        params.push(filters.to);
+    }
+    if (filters.room_code) {
+        clauses.push('g.room_code = ?');
+        params.push(filters.room_code);
+    }
+    if (filters.session_number) {
+        clauses.push('g.session_number = ?');
+        params.push(filters.session_number);
+    }
+    if (filters.status) {
+        clauses.push('g.status = ?');
+        params.push(filters.status);
+    }
+
+    return { clauses, params };
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+// Rows after the cursor (the last row's key values) in key order: (a > ?) OR (a = ? AND b > ?) ...
+function keysetClause(keys, cursor) {
+    const alternatives = [];
+    const params = [];
+    keys.forEach((key, i) => {
+        const equal = keys.slice(0, i).map(previous => `${previous.expression} = ?`);
+        alternatives.push(`(${[...equal, `${key.expression} > ?`].join(' AND ')})`);
+        params.push(...cursor.slice(0, i), cursor[i]);
+    });
+    return { clause: `(${alternatives.join(' OR ')})`, params };
+}
+
+function fetchPage(db, dataset, filters, cursor) {
+    const { clauses, params } = buildWhere(filters);
+    const keyset = keysetClause(dataset.keys, cursor);
+    clauses.push(keyset.clause);
+    params.push(...keyset.params);
+
+    return all(db, `SELECT ${dataset.select} FROM ${dataset.from}
+        WHERE ${clauses.join(' AND ')}
+        ORDER BY ${dataset.keys.map(key => key.expression).join(', ')} LIMIT ${PAGE_SIZE}`, params);
+}
+
+// Column names when nothing matched: an outer join that never matches yields one all-NULL row
+async function columnNames(db, dataset) {
+    const [row] = await all(db, `SELECT ${dataset.select} FROM (SELECT 1) LEFT JOIN (${dataset.from}) ON 0`);
+    return Object.keys(row);
+}
+
+// RFC 4180: quote fields containing separators, quotes or line breaks and double embedded quotes
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function write(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onDrain = () => { res.off('close', onClose); resolve(); };
+        const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed connection')); };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+/**
+ * Stream a dataset to an HTTP response page by page; resolves with the row count
+ */
+async function streamExport(db, res, { dataset: datasetName, format, filters }) {
+    const dataset = DATASETS[datasetName];
+    const { contentType, extension } = FORMATS[format];
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="category_game_${datasetName}.${extension}"`);
+
+    let rowCount = 0;
+    let cursor = dataset.keys.map(() => 0);
+    let columns = null;
+
+    if (format === 'json') await write(res, '[');
+
+    for (;;) {
+        const rows = await fetchPage(db, dataset, filters, cursor);
+        if (rows.length === 0) break;
+
+        let chunk = '';
+        for (const row of rows) {
+            if (format === 'csv') {
+                if (!columns) {
+                    columns = Object.keys(row);
+                    chunk += columns.join(',') + '\r\n';
+                }
+                chunk += columns.map(column => csvField(row[column])).join(',') + '\r\n';
+            } else if (format === 'json') {
+                chunk += (rowCount > 0 ? ',\n' : '\n') + JSON.stringify(row);
+            } else {
+                chunk += JSON.stringify(row) + '\n';
+            }
+            rowCount++;
+        }
+        await write(res, chunk);
+
+        if (rows.length < PAGE_SIZE) break;
+        // Tables select their own columns last, so "id" is always that table's key
+        const last = rows[rows.length - 1];
+        cursor = dataset.keys.map(key => last[key.column] || 0);
+    }
+
+    // An empty CSV still gets its header row
+    if (format === 'csv' && !columns) {
+        await write(res, (await columnNames(db, dataset)).join(',') + '\r\n');
+    }
+    if (format === 'json') await write(res, rowCount > 0 ? '\n]\n' : ']\n');
+    res.end();
+
+    return rowCount;
+}
+
+module.exports = {
+    FORMATS,
+    TABLES,
+    parseFilters,
+    streamExport
+};
@@ -0,0 +1,293 @@
+/**
+ * Researcher authentication for the data export routes
+ * Tokens are configured via RESEARCH_TOKENS or created with the research-tokens CLI,
+ * stored only as SHA-256 hashes, and every export is written to an audit table
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'research_session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+/**
+ * Parse RESEARCH_TOKENS ("label:token,label:token") into entries
+ */
+function parseTokenConfig(spec) {
+    if (!spec) return [];
+    return spec.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            if (separator <= 0 || separator === entry.length - 1) {
+                throw new Error(`Invalid RESEARCH_TOKENS entry "${entry.slice(0, 20)}..." (expected label:token)`);
+            }
+            return { label: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() };
+        });
+}
+
+/**
+ * Store hashes of the configured tokens and revoke configured tokens that were removed
+ */
+async function syncConfiguredTokens(db, spec = process.env.RESEARCH_TOKENS, logger = console) {
+    const entries = parseTokenConfig(spec);
+    const now = new Date().toISOString();
+    const configuredHashes = [];
+
+    for (const { label, token } of entries) {
+        if (token.length < 16) {
+            throw new Error(`Research token for "${label}" must be at least 16 characters`);
+        }
+        const tokenHash = hashSecret(token);
+        configuredHashes.push(tokenHash);
+        await run(db, `
+            INSERT INTO researcher_tokens (label, token_hash, source, created_at)
+            VALUES (?, ?, 'config', ?)
+            ON CONFLICT(token_hash) DO UPDATE SET label = excluded.label, revoked_at = NULL
+            WHERE researcher_tokens.source = 'config'
+        `, [label, tokenHash, now]);
+    }
+
+    const placeholders = configuredHashes.map(() => '?').join(',');
+    await run(db, `
+        UPDATE researcher_tokens SET revoked_at = ?
+        WHERE source = 'config' AND revoked_at IS NULL
+        ${configuredHashes.length ? `AND token_hash NOT IN (${placeholders})` : ''}
+    `, [now, ...configuredHashes]);
+
+    if (entries.length === 0) {
+        logger.log('No RESEARCH_TOKENS configured; exports require a token created with the research-tokens CLI');
+    } else {
+        logger.log(`Research tokens synced: ${entries.length} configured`);
+    }
+}
+
+/**
+ * Create a new token and return the plaintext (it is never stored)
+ */
+async function createToken(db, label) {
+    const token = generateSecret();
+    const { lastID } = await run(db,
+        `INSERT INTO researcher_tokens (label, token_hash, source, created_at) VALUES (?, ?, 'cli', ?)`,
+        [label, hashSecret(token), new Date().toISOString()]);
+    return { id: lastID, label, token };
+}
+
+function listTokens(db) {
+    return all(db, `
+        SELECT id, label, source, created_at, last_used_at, revoked_at
+        FROM researcher_tokens ORDER BY id
+    `);
+}
+
+/**
+ * Revoke a token and every session opened with it
+ */
+async function revokeToken(db, tokenId) {
+    const now = new Date().toISOString();
+    const { changes } = await run(db,
+        `UPDATE researcher_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`, [now, tokenId]);
+    await run(db,
+        `UPDATE researcher_sessions SET revoked_at = ? WHERE token_id = ? AND revoked_at IS NULL`, [now, tokenId]);
+    return changes > 0;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    header.split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator <= 0) return;
+        try {
+            cookies[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+        } catch (error) {
+            // A malformed value is treated as if the cookie were not sent
+        }
+    });
+    return cookies;
+}
+
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+function findActiveToken(db, token) {
+    return get(db, `
+        SELECT id, label FROM researcher_tokens
+        WHERE token_hash = ? AND revoked_at IS NULL
+    `, [hashSecret(token)]);
+}
+
+function findActiveSession(db, sessionId) {
+    return get(db, `
+        SELECT t.id, t.label FROM researcher_sessions s
+        JOIN researcher_tokens t ON s.token_id = t.id
+        WHERE s.session_hash = ? AND s.revoked_at IS NULL AND s.expires_at > ? AND t.revoked_at IS NULL
+    `, [hashSecret(sessionId), new Date().toISOString()]);
+}
+
+/**
+ * Resolve the researcher behind a request from the Authorization header or session cookie
+ */
+async function authenticate(db, req) {
+    const token = bearerToken(req);
+    if (token) return findActiveToken(db, token);
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId) return findActiveSession(db, sessionId);
+
+    return null;
+}
+
+/**
+ * Express middleware that rejects unauthenticated requests and sets req.researcher
+ */
+function requireResearcher(db, logger = console) {
+    return async (req, res, next) => {
+        if (req.query.password !== undefined || req.query.token !== undefined) {
+            return res.status(400).json({ error: 'Credentials are not accepted in the URL; use an Authorization header or log in' });
+        }
+
+        try {
+            const researcher = await authenticate(db, req);
+            if (!researcher) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+            await run(db, `UPDATE researcher_tokens SET last_used_at = ? WHERE id = ?`,
+                [new Date().toISOString(), researcher.id]);
+            req.researcher = researcher;
+            next();
+        } catch (error) {
+            logger.error('Research auth error:', error);
+            res.status(500).json({ error: 'Authentication failed' });
+        }
+    };
+}
+
+/**
+ * Exchange a token for a session cookie so browsers never put the token in a URL
+ */
+function loginHandler(db, logger = console) {
+    return async (req, res) => {
+        const token = bearerToken(req) || (req.body && req.body.token);
+        if (!token) {
+            return res.status(400).json({ error: 'Token required' });
+        }
+
+        try {
+            const researcher = await findActiveToken(db, token);
+            if (!researcher) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const sessionId = generateSecret();
+            const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+            await run(db, `
+                INSERT INTO researcher_sessions (token_id, session_hash, created_at, expires_at)
+                VALUES (?, ?, ?, ?)
+            `, [researcher.id, hashSecret(sessionId), new Date().toISOString(), expiresAt.toISOString()]);
+
+            res.setHeader('Set-Cookie', [
+                `${SESSION_COOKIE}=${sessionId}`,
+                'Path=/',
+                'HttpOnly',
+                'SameSite=Strict',
+                `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`,
+                ...(req.secure ? ['Secure'] : [])
+            ].join('; '));
+            res.json({ researcher: researcher.label, expiresAt: expiresAt.toISOString() });
+        } catch (error) {
+            logger.error('Research login error:', error);
+            res.status(500).json({ error: 'Login failed' });
+        }
+    };
+}
+
+function logoutHandler(db, logger = console) {
+    return async (req, res) => {
+        const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        try {
+            if (sessionId) {
+                await run(db, `UPDATE researcher_sessions SET revoked_at = ? WHERE session_hash = ?`,
+                    [new Date().toISOString(), hashSecret(sessionId)]);
+            }
+            res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+            res.json({ ok: true });
+        } catch (error) {
+            logger.error('Research logout error:', error);
+            res.status(500).json({ error: 'Logout failed' });
+        }
+    };
+}
+
+/**
+ * Write an audit row before an export starts; returns the audit id
+ */
+async function recordExport(db, req, exportType, filters = {}) {
+    const { lastID } = await run(db, `
+        INSERT INTO export_audit (token_id, researcher, export_type, filters, ip_address, user_agent, requested_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        req.researcher.id,
+        req.researcher.label,
+        exportType,
+        JSON.stringify(filters),
+        req.ip,
+        req.headers['user-agent'] || null,
+        new Date().toISOString()
+    ]);
+    return lastID;
+}
+
+/**
+ * Mark an audited export as finished (or failed) with the number of rows sent
+ */
+function completeExport(db, auditId, status, rowCount = null) {
+    return run(db, `
+        UPDATE export_audit SET status = ?, row_count = ?, completed_at = ? WHERE id = ?
+    `, [status, rowCount, new Date().toISOString(), auditId]);
+}
+
+module.exports = {
+    syncConfiguredTokens,
+    createToken,
+    listTokens,
+    revokeToken,
+    findActiveToken,
+    requireResearcher,
+    loginHandler,
+    logoutHandler,
+    recordExport,
+    completeExport
+};
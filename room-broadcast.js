@@ -0,0 +1,90 @@
+/**
+ * Socket.IO broadcast layer
+ * The server sends with io.to(...).emit and relies on the adapter underneath to reach the sockets.
+ * LocalBroadcaster keeps Socket.IO's default in-memory adapter, which only reaches sockets connected
+ * to this process. RedisBroadcaster installs the Redis adapter so emits, room joins and leaves reach
+ * sockets on every instance, and carries events from a socket to the instance that runs its room.
+ * It needs the `redis` and `@socket.io/redis-adapter` packages, both optional dependencies.
+ */
+
+const { requireOptional } = require('./optional-require');
+
+// Server-to-server event carrying a socket's event to the owner of its room
+const FORWARD_EVENT = 'room-event';
+
+class LocalBroadcaster {
+    constructor(io, { instanceId, logger = console }) {
+        this.io = io;
+        this.instanceId = instanceId;
+        this.logger = logger;
+    }
+
+    async connect() {}
+
+    // Every room runs in this process, so nothing is ever forwarded
+    forward(instanceId) {
+        throw new Error(`Cannot forward to instance ${instanceId} without a shared adapter`);
+    }
+
+    onForwarded() {}
+
+    async close() {}
+}
+
+class RedisBroadcaster {
+    constructor(io, { url, instanceId, logger = console }) {
+        this.io = io;
+        this.url = url;
+        this.instanceId = instanceId;
+        this.logger = logger;
+        this.pubClient = null;
+        this.subClient = null;
+    }
+
+    async connect() {
+        const { createClient } = requireOptional('redis', 'Sharing rooms through REDIS_URL');
+        const { createAdapter } = requireOptional('@socket.io/redis-adapter', 'Sharing rooms through REDIS_URL');
+
+        this.pubClient = createClient({ url: this.url });
+        this.subClient = this.pubClient.duplicate();
+        [this.pubClient, this.subClient].forEach(client => {
+            client.on('error', error => this.logger.error('Broadcast Redis error:', error.message));
+        });
+        await Promise.all([this.pubClient.connect(), this.subClient.connect()]);
+
+        this.io.adapter(createAdapter(this.pubClient, this.subClient));
+        this.logger.log('Socket.IO Redis adapter installed');
+    }
+
+    // Hand an event from a socket connected here to the instance that runs the socket's room
+    forward(instanceId, socketId, event, data) {
+        this.io.serverSideEmit(FORWARD_EVENT, { to: instanceId, socketId, event, data });
+    }
+
+    // handler({ socketId, event, data }) runs for events forwarded to this instance
+    onForwarded(handler) {
+        this.io.on(FORWARD_EVENT, message => {
+            if (message.to === this.instanceId) handler(message);
+        });
+    }
+
+    async close() {
+        await Promise.all([this.pubClient, this.subClient].filter(Boolean).map(client => client.quit()));
+    }
+}
+
+/**
+ * Pick the broadcaster from the environment: Redis when REDIS_URL is set, otherwise in-process
+ */
+function createBroadcaster(io, { instanceId, redisUrl = process.env.REDIS_URL, logger = console }) {
+    if (redisUrl) {
+        return new RedisBroadcaster(io, { url: redisUrl, instanceId, logger });
+    }
+    return new LocalBroadcaster(io, { instanceId, logger });
+}
+
+module.exports = {
+    LocalBroadcaster,
+    RedisBroadcaster,
+    createBroadcaster
+};
@@ -0,0 +1,183 @@
+/**
+ * Room snapshots
+ * Live rooms are saved to SQLite as JSON on every phase transition so a restarted server can
+ * rehydrate them with the same code, round, submissions, votes and remaining timer.
+ * Time between the last snapshot and the restart is treated like a pause.
+ */
+
+// Snapshots older than this are from abandoned rooms and are dropped at startup
+const MAX_SNAPSHOT_AGE_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Plain-JSON copy of a room. Timers are left out: the phase timer is kept as its remaining
+ * seconds and the pending results step by name. Socket ids are kept only so an instance taking
+ * the room over can re-attach sockets that are still connected to it. now is the game clock's time.
+ */
+function serializeRoom(room, now = Date.now()) {
+    const timer = room.currentTimer && room.currentTimer.isActive ? room.currentTimer.getState() : null;
+    const resultsStep = room.resultsStep ? {
+        name: room.resultsStep.step.name,
+        remainingMs: room.resultsStep.timeout
+            ? Math.max(0, room.resultsStep.dueAt - now)
+            : room.resultsStep.remainingMs
+    } : null;
+
+    return {
+        code: room.code,
+        dbGameId: room.dbGameId,
+        players: Array.from(room.players.entries()).map(([playerId, player]) => [playerId, {
+            ...player,
+            // Players still expected back from an earlier restore count as connected
+            isConnected: player.isConnected || !!player.reconnectPending
+        }]),
+        creatorPlayerId: room.creatorPlayerId,
+        originalCreatorPlayerId: room.originalCreatorPlayerId,
+        displays: Array.from(room.displays.entries()),
+        controllerKey: room.controllerKey,
+        gameState: room.gameState,
+        currentCategory: room.currentCategory,
+        submissions: room.submissions,
+        // Items share submission objects with room.submissions; store their ids and relink on restore
+        teams: room.teams,
+        votingItems: room.votingItems.map(item => ({
+            ...item,
+            submissions: item.submissions.map(s => s.dbSubmissionId),
+            votes: Array.from(item.votes.entries())
+        })),
+        round: room.round,
+        maxRounds: room.maxRounds,
+        createdAt: room.createdAt,
+        options: room.options,
+        categorySubmissions: room.categorySubmissions,
+        availableCategories: room.availableCategories,
+        timerSettings: room.timerSettings,
+        timer: timer && { phase: timer.phase, remaining: timer.remaining },
+        phaseStartTime: room.phaseStartTime,
+        currentRoundDbId: room.currentRoundDbId,
+        currentResults: room.currentResults,
+        currentResultIndex: room.currentResultIndex,
+        resultsCursor: room.resultsCursor,
+        resultsStep,
+        paused: !!room.paused,
+        roundPausedMs: room.roundPausedMs,
+        skipVotes: Array.from(room.skipVotes)
+    };
+}
+
+/**
+ * Copy a snapshot's state onto a freshly created room. Every player comes back disconnected;
+ * those who were connected are marked reconnectPending. Returns what the caller still has to
+ * restart ({ timer, resultsStep, paused }), since timers and handlers live in the server, and the
+ * sockets the room last knew ({ sockets: { players: [[playerId, socketId]], displays: [[socketId, role]] } }).
+ */
+function applySnapshot(room, snapshot, savedAt, now = Date.now()) {
+    // Everything between the snapshot and now is downtime, which is left out like a pause
+    const downtimeMs = Math.max(0, now - savedAt);
+
+    const submissionsById = new Map(snapshot.submissions.map(s => [s.dbSubmissionId, s]));
+
+    Object.assign(room, {
+        dbGameId: snapshot.dbGameId,
+        players: new Map(snapshot.players.map(([playerId, player]) => [playerId, {
+            ...player,
+            socketId: null,
+            isConnected: false,
+            reconnectPending: player.isConnected
+        }])),
+        creatorPlayerId: snapshot.creatorPlayerId,
+        originalCreatorPlayerId: snapshot.originalCreatorPlayerId,
+        // Snapshots from before controller keys keep the fresh room's key
+        controllerKey: snapshot.controllerKey || room.controllerKey,
+        gameState: snapshot.gameState,
+        currentCategory: snapshot.currentCategory,
+        submissions: snapshot.submissions,
+        teams: snapshot.teams || [],
+        votingItems: snapshot.votingItems.map(item => ({
+            ...item,
+            submissions: item.submissions.map(id => submissionsById.get(id)).filter(Boolean),
+            votes: new Map(item.votes)
+        })),
+        round: snapshot.round,
+        maxRounds: snapshot.maxRounds,
+        createdAt: new Date(snapshot.createdAt),
+        options: { ...room.options, ...snapshot.options },
+        categorySubmissions: snapshot.categorySubmissions,
+        availableCategories: snapshot.availableCategories,
+        timerSettings: { ...room.timerSettings, ...snapshot.timerSettings },
+        phaseStartTime: snapshot.phaseStartTime ? snapshot.phaseStartTime + downtimeMs : null,
+        currentRoundDbId: snapshot.currentRoundDbId,
+        currentResults: snapshot.currentResults,
+        currentResultIndex: snapshot.currentResultIndex,
+        resultsCursor: snapshot.resultsCursor,
+        roundPausedMs: snapshot.roundPausedMs + downtimeMs,
+        skipVotes: new Set(snapshot.skipVotes)
+    });
+
+    return {
+        timer: snapshot.timer,
+        resultsStep: snapshot.resultsStep,
+        paused: snapshot.paused,
+        sockets: {
+            players: snapshot.players
+                .filter(([, player]) => player.isConnected && player.socketId)
+                .map(([playerId, player]) => [playerId, player.socketId]),
+            // Snapshots from before displays had roles kept a single display
+            displays: snapshot.displays
+                || (snapshot.displaySocketId ? [[snapshot.displaySocketId, 'controller']] : [])
+        }
+    };
+}
+
+/**
+ * Save (or replace) a room's snapshot
+ */
+function saveSnapshot(db, room, now = Date.now()) {
+    // Serialize now so the stored state is the room as it is at the call, not when the write runs
+    const snapshot = JSON.stringify(serializeRoom(room, now));
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT OR REPLACE INTO room_snapshots (room_code, game_id, game_state, snapshot, saved_at)
+            VALUES (?, ?, ?, ?, ?)`,
+        [room.code, room.dbGameId, room.gameState, snapshot, new Date(now).toISOString()],
+        err => err ? reject(err) : resolve());
+    });
+}
+
+function deleteSnapshot(db, roomCode) {
+    return new Promise((resolve, reject) => {
+        db.run('DELETE FROM room_snapshots WHERE room_code = ?', [roomCode], err => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Load snapshots young enough to restore, deleting the rest; resolves with [{ snapshot, savedAt }]
+ */
+async function loadSnapshots(db, maxAgeMs = MAX_SNAPSHOT_AGE_MS, logger = console, now = Date.now()) {
+    const cutoff = new Date(now - maxAgeMs).toISOString();
+    await new Promise((resolve, reject) => {
+        db.run('DELETE FROM room_snapshots WHERE saved_at < ?', [cutoff], err => err ? reject(err) : resolve());
+    });
+
+    const rows = await new Promise((resolve, reject) => {
+        db.all('SELECT room_code, snapshot, saved_at FROM room_snapshots', (err, result) => err ? reject(err) : resolve(result));
+    });
+
+    const snapshots = [];
+    for (const row of rows) {
+        try {
+            snapshots.push({ snapshot: JSON.parse(row.snapshot), savedAt: Date.parse(row.saved_at) });
+        } catch (error) {
+            logger.error(`Discarding unreadable snapshot for room ${row.room_code}:`, error.message);
+            await deleteSnapshot(db, row.room_code);
+        }
+    }
+    return snapshots;
+}
+
+module.exports = {
+    MAX_SNAPSHOT_AGE_MS,
+    serializeRoom,
+    applySnapshot,
+    saveSnapshot,
+    deleteSnapshot,
+    loadSnapshots
+};
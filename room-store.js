@@ -0,0 +1,208 @@
+/**
+ * Room state store
+ * A room runs on one instance, which keeps its live state (players, timers, votes) in memory.
+ * The store decides which instance owns each room code and keeps the room's latest snapshot
+ * where other instances can read it, so one of them can take the room over if its owner goes away.
+ *
+ * LocalRoomStore, the default, is for a single instance: it owns every room and keeps snapshots
+ * in the SQLite room_snapshots table. RedisRoomStore shares ownership and snapshots through Redis
+ * (or any server that speaks its protocol) so several instances can serve the same rooms; it needs
+ * the `redis` package, an optional dependency.
+ *
+ * A snapshot refers to the room's game, round and submission rows by id, so the instances sharing
+ * Redis must also share one database: the same DB_PATH, on storage every instance mounts. Each
+ * snapshot records the id of the database it was saved against (see migrations/018-database-info.js),
+ * and an instance refuses to take over a room saved against any other database.
+ */
+
+const roomSnapshots = require('./room-snapshots');
+const { systemClock } = require('./clock');
+const { requireOptional } = require('./optional-require');
+
+// An owner renews its lease on each room while it runs; a lapsed lease means the owner is gone.
+// Leases expire in Redis, so they are renewed on real time even when the game runs on another clock.
+const OWNER_LEASE_MS = 30 * 1000;
+const LEASE_RENEW_INTERVAL_MS = 10 * 1000;
+
+class LocalRoomStore {
+    constructor({ db, instanceId, logger = console, clock = systemClock }) {
+        this.db = db;
+        this.instanceId = instanceId;
+        this.logger = logger;
+        this.clock = clock;
+        this.owned = new Set();
+    }
+
+    async connect() {}
+
+    // Reserve a code for a new room; false if it is taken
+    async reserve(roomCode) {
+        if (this.owned.has(roomCode)) return false;
+        this.owned.add(roomCode);
+        return true;
+    }
+
+    async ownerOf(roomCode) {
+        return this.owned.has(roomCode) ? this.instanceId : null;
+    }
+
+    save(room) {
+        return roomSnapshots.saveSnapshot(this.db, room, this.clock.now());
+    }
+
+    async release(roomCode) {
+        this.owned.delete(roomCode);
+        await roomSnapshots.deleteSnapshot(this.db, roomCode);
+    }
+
+    // Claim every saved room without a running owner; resolves with [{ snapshot, savedAt }]
+    async adoptOrphans() {
+        const saved = await roomSnapshots.loadSnapshots(this.db, roomSnapshots.MAX_SNAPSHOT_AGE_MS, this.logger, this.clock.now());
+        saved.forEach(({ snapshot }) => this.owned.add(snapshot.code));
+        return saved;
+    }
+
+    // Every saved room is adopted at startup, so there is never one left to take over later
+    async adopt() {
+        return null;
+    }
+
+    async close() {}
+}
+
+class RedisRoomStore {
+    constructor({ url, databaseId, instanceId, keyPrefix = 'category-game:', logger = console, clock = systemClock }) {
+        this.url = url;
+        this.databaseId = databaseId;
+        this.instanceId = instanceId;
+        this.logger = logger;
+        this.clock = clock;
+        this.keyPrefix = keyPrefix;
+        this.owned = new Set();
+        // Rooms already refused for being saved against another database, so each is logged once
+        this.foreignRooms = new Set();
+        this.client = null;
+        this.renewInterval = null;
+    }
+
+    ownerKey(roomCode) {
+        return `${this.keyPrefix}room:${roomCode}:owner`;
+    }
+
+    snapshotKey(roomCode) {
+        return `${this.keyPrefix}room:${roomCode}:snapshot`;
+    }
+
+    async connect() {
+        const { createClient } = requireOptional('redis', 'Sharing rooms through REDIS_URL');
+        this.client = createClient({ url: this.url });
+        this.client.on('error', error => this.logger.error('Room store Redis error:', error.message));
+        await this.client.connect();
+
+        this.renewInterval = setInterval(() => {
+            this.renewLeases().catch(error => this.logger.error('Error renewing room leases:', error.message));
+        }, LEASE_RENEW_INTERVAL_MS);
+        this.logger.log(`Room store connected to Redis as instance ${this.instanceId}`);
+    }
+
+    async renewLeases() {
+        for (const roomCode of this.owned) {
+            const owner = await this.client.get(this.ownerKey(roomCode));
+            if (owner === this.instanceId) {
+                await this.client.pExpire(this.ownerKey(roomCode), OWNER_LEASE_MS);
+            } else {
+                // Our lease lapsed and another instance adopted the room
+                this.owned.delete(roomCode);
+                this.logger.warn(`Lost ownership of room ${roomCode} to ${owner || 'no instance'}`);
+            }
+        }
+    }
+
+    async claim(roomCode) {
+        const claimed = await this.client.set(this.ownerKey(roomCode), this.instanceId, { NX: true, PX: OWNER_LEASE_MS });
+        if (claimed) this.owned.add(roomCode);
+        return !!claimed;
+    }
+
+    // Reserve a code for a new room; a code whose room is waiting to be adopted counts as taken
+    async reserve(roomCode) {
+        if (await this.client.exists(this.snapshotKey(roomCode))) return false;
+        return this.claim(roomCode);
+    }
+
+    async ownerOf(roomCode) {
+        return this.client.get(this.ownerKey(roomCode));
+    }
+
+    save(room) {
+        const now = this.clock.now();
+        const saved = JSON.stringify({ snapshot: roomSnapshots.serializeRoom(room, now), savedAt: now, databaseId: this.databaseId });
+        return this.client.set(this.snapshotKey(room.code), saved, { PX: roomSnapshots.MAX_SNAPSHOT_AGE_MS });
+    }
+
+    async release(roomCode) {
+        this.owned.delete(roomCode);
+        await this.client.del([this.ownerKey(roomCode), this.snapshotKey(roomCode)]);
+    }
+
+    // Take over a room whose owner is gone, if it was saved against this instance's database;
+    // resolves with { snapshot, savedAt } or null
+    async adopt(roomCode) {
+        const raw = await this.client.get(this.snapshotKey(roomCode));
+        if (!raw) return null;
+
+        let saved;
+        try {
+            saved = JSON.parse(raw);
+        } catch (error) {
+            this.logger.error(`Discarding unreadable snapshot for room ${roomCode}:`, error.message);
+            await this.client.del(this.snapshotKey(roomCode));
+            return null;
+        }
+
+        if (saved.databaseId !== this.databaseId) {
+            if (!this.foreignRooms.has(roomCode)) {
+                this.foreignRooms.add(roomCode);
+                this.logger.error(`Not taking over room ${roomCode}: it was saved against database ${saved.databaseId || '(unknown)'}, ` +
+                    `not this instance's ${this.databaseId}. Instances sharing Redis must share one DB_PATH.`);
+            }
+            return null;
+        }
+        return (await this.claim(roomCode)) ? saved : null;
+    }
+
+    async adoptOrphans() {
+        const adopted = [];
+        // node-redis 4 yields one key per step, later versions a batch of keys
+        for await (const keys of this.client.scanIterator({ MATCH: this.snapshotKey('*') })) {
+            for (const key of [].concat(keys)) {
+                const roomCode = key.slice(this.keyPrefix.length).split(':')[1];
+                const saved = await this.adopt(roomCode);
+                if (saved) adopted.push(saved);
+            }
+        }
+        return adopted;
+    }
+
+    async close() {
+        clearInterval(this.renewInterval);
+        if (this.client) await this.client.quit();
+    }
+}
+
+/**
+ * Pick the store from the environment: Redis when REDIS_URL is set, otherwise this process only.
+ * databaseId identifies the database db is connected to (GameRepository.databaseId)
+ */
+function createRoomStore({ db, databaseId, instanceId, redisUrl = process.env.REDIS_URL, logger = console, clock = systemClock }) {
+    if (redisUrl) {
+        return new RedisRoomStore({ url: redisUrl, databaseId, instanceId, logger, clock });
+    }
+    return new LocalRoomStore({ db, instanceId, logger, clock });
+}
+
+module.exports = {
+    LocalRoomStore,
+    RedisRoomStore,
+    createRoomStore
+};
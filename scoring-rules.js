@@ -0,0 +1,129 @@
+/**
+ * Scoring rules for how many points an exemplar earns from its vote split
+ * A room picks one rule when it is set up, so scoring can be run as an experimental manipulation
+ */
+
+const DEFAULT_RULE = 'min';
+const DEFAULT_RATING_RULE = 'rating-variance';
+
+// Ceiling for the rules that score on a fixed scale rather than by vote count
+const MAX_POINTS = 10;
+
+function binaryEntropy(p) {
+    if (p <= 0 || p >= 1) return 0;
+    return -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+}
+
+// Each rule maps a tally to a continuous value; points are that value rounded,
+// and the round summary orders exemplars by the same value.
+// Binary rules read yes/no counts; rating rules read the ratings and the room's scale.
+const RULES = {
+    min: {
+        mode: 'binary',
+        label: 'Smaller side',
+        description: 'Points equal the size of the smaller of the yes and no groups',
+        value: ({ yesCount, noCount }) => Math.min(yesCount, noCount)
+    },
+    balance: {
+        mode: 'binary',
+        label: 'Closeness to 50/50',
+        description: `Up to ${MAX_POINTS} points, scaled by how close the split is to even`,
+        value: ({ yesCount, noCount }) => {
+            const total = yesCount + noCount;
+            if (total === 0) return 0;
+            return MAX_POINTS * (1 - Math.abs(yesCount - noCount) / total);
+        }
+    },
+    entropy: {
+        mode: 'binary',
+        label: 'Vote entropy',
+        description: `Up to ${MAX_POINTS} points from the entropy of the yes/no split`,
+        value: ({ yesCount, noCount }) => {
+            const total = yesCount + noCount;
+            if (total === 0) return 0;
+            return MAX_POINTS * binaryEntropy(yesCount / total);
+        }
+    },
+    'min-excluding-self': {
+        mode: 'binary',
+        label: 'Smaller side, own vote ignored',
+        description: "Like the smaller-side rule, but the submitters' votes on their own exemplar do not count",
+        value: ({ votes, submitterIds }) => {
+            const others = votes.filter(v => !submitterIds.includes(v.playerId));
+            const yesCount = others.filter(v => v.vote).length;
+            return Math.min(yesCount, others.length - yesCount);
+        }
+    },
+    'rating-variance': {
+        mode: 'rating',
+        label: 'Rating disagreement',
+        description: `Up to ${MAX_POINTS} points from the variance of the ratings, relative to the widest possible spread on the scale`,
+        value: ({ ratings, scale }) => {
+            if (ratings.length === 0) return 0;
+            const maxVariance = Math.pow(scale.max - scale.min, 2) / 4;
+            return MAX_POINTS * ratingStats(ratings).variance / maxVariance;
+        }
+    }
+};
+
+// Mean and population variance of a list of ratings
+function ratingStats(ratings) {
+    if (ratings.length === 0) return { mean: null, variance: null };
+    const mean = ratings.reduce((sum, r) => sum + r, 0) / ratings.length;
+    const variance = ratings.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / ratings.length;
+    return { mean, variance };
+}
+
+// A rule is valid for a room only if it scores the room's kind of vote
+function isValidRule(ruleId, mode = 'binary') {
+    return Object.prototype.hasOwnProperty.call(RULES, ruleId) && RULES[ruleId].mode === mode;
+}
+
+function defaultRuleFor(mode) {
+    return mode === 'rating' ? DEFAULT_RATING_RULE : DEFAULT_RULE;
+}
+
+function getRule(ruleId) {
+    return RULES[ruleId] || RULES[DEFAULT_RULE];
+}
+
+/**
+ * Score one exemplar's tally: { yesCount, noCount, votes: [{ playerId, vote }], submitterIds }
+ * or, for rating rules, { ratings, scale: { min, max }, votes, submitterIds }.
+ * submitterIds lists every player whose submission was merged into the exemplar.
+ */
+function scoreTally(ruleId, tally) {
+    const value = getRule(ruleId).value(tally);
+    return { points: Math.round(value), ruleValue: value };
+}
+
+/**
+ * Order results best-first by the rule's value, then by the closer split (binary results only)
+ */
+function compareResults(a, b) {
+    if (a.ruleValue !== b.ruleValue) {
+        return b.ruleValue - a.ruleValue;
+    }
+    if (a.voteMode === 'rating') return 0;
+    return Math.abs(a.yesCount - a.noCount) - Math.abs(b.yesCount - b.noCount);
+}
+
+// Rule descriptions for settings menus
+function listRules() {
+    return Object.entries(RULES).map(([id, rule]) => ({
+        id,
+        mode: rule.mode,
+        label: rule.label,
+        description: rule.description
+    }));
+}
+
+module.exports = {
+    DEFAULT_RULE,
+    isValidRule,
+    defaultRuleFor,
+    ratingStats,
+    scoreTally,
+    compareResults,
+    listRules
+};
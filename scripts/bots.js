@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Launch bot players against a room, e.g. to load-test a server
+ *
+ *   node scripts/bots.js <server-url> <room-code> [count] [options]
+ *
+ *   --strategy <name>        random, word-list or vote-probability (random)
+ *   --yes-probability <p>    chance of a yes vote for vote-probability (0.7)
+ *   --words <file.json>      { "category": ["exemplar", ...] } for word-list (the preset lists)
+ *   --delay <min>-<max>      thinking time in ms before each action (500-4000)
+ *   --name <prefix>          bots join as "<prefix> <n>" (Bot)
+ *   --token <research-token> flags the bots' players rows as bots; without it they count as people
+ *
+ * Bots play until the game completes or ends, or until interrupted.
+ */
+
+const fs = require('fs');
+const { BotPlayer } = require('../bot-player');
+const { createStrategy } = require('../bot-strategies');
+
+function usage() {
+    console.log('Usage: bots.js <server-url> <room-code> [count] [--strategy name] [--yes-probability p] [--words file.json] [--delay min-max] [--name prefix] [--token research-token]');
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            if (i + 1 >= argv.length) usage();
+            flags[argv[i].slice(2)] = argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+function strategyOptions(flags) {
+    const options = {};
+    if (flags['yes-probability'] !== undefined) options.yesProbability = parseFloat(flags['yes-probability']);
+    if (flags.words) options.wordLists = JSON.parse(fs.readFileSync(flags.words, 'utf8'));
+    if (flags.delay) {
+        const [min, max] = flags.delay.split('-').map(ms => parseInt(ms, 10));
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) usage();
+        Object.assign(options, { minDelayMs: min, maxDelayMs: max });
+    }
+    return options;
+}
+
+async function main() {
+    const { positional: [url, roomCode, countArg = '1'], flags } = parseArgs(process.argv.slice(2));
+    const count = parseInt(countArg, 10);
+    if (!url || !roomCode || !Number.isInteger(count) || count < 1) usage();
+
+    const strategyName = flags.strategy || 'random';
+    const namePrefix = flags.name || 'Bot';
+    const options = strategyOptions(flags);
+    // Fail on bad options before anything connects
+    createStrategy(strategyName, options);
+
+    const bots = [];
+    const stopAll = () => bots.forEach(bot => bot.close());
+    process.on('SIGINT', () => {
+        console.log('Stopping bots');
+        stopAll();
+        process.exit(0);
+    });
+
+    const startedAt = Date.now();
+    for (let i = 1; i <= count; i++) {
+        const bot = new BotPlayer({
+            url,
+            roomCode: roomCode.toUpperCase(),
+            nickname: `${namePrefix} ${i}`,
+            strategy: createStrategy(strategyName, options),
+            token: flags.token
+        });
+        try {
+            bots.push(await bot.join());
+        } catch (error) {
+            stopAll();
+            throw error;
+        }
+    }
+    console.log(`${count} ${strategyName} bot(s) joined room ${roomCode.toUpperCase()} in ${Date.now() - startedAt}ms`);
+
+    await new Promise(resolve => {
+        bots.forEach(bot => {
+            bot.socket.on('game-complete', resolve);
+            bot.socket.on('game-ended', resolve);
+            bot.socket.on('host-disconnected', resolve);
+        });
+    });
+    console.log('Game over, stopping bots');
+    stopAll();
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Show and apply database schema migrations (see db-migrations.js)
+ *
+ *   node scripts/db-migrate.js status
+ *   node scripts/db-migrate.js up
+ */
+
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const dbMigrations = require('../db-migrations');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'game_data.db');
+
+function usage() {
+    console.log('Usage: db-migrate.js status | up');
+    process.exit(1);
+}
+
+async function main() {
+    const [command] = process.argv.slice(2);
+    if (!command) usage();
+
+    const db = new sqlite3.Database(dbPath);
+    try {
+        if (command === 'status') {
+            const status = await dbMigrations.migrationStatus(db);
+            status.forEach(m => {
+                const state = m.missing ? `applied ${m.appliedAt}, file missing`
+                    : m.appliedAt ? `applied ${m.appliedAt}` : 'pending';
+                console.log(`${m.version}\t${m.name}\t${state}`);
+            });
+            const pending = status.filter(m => !m.appliedAt).length;
+            console.log(pending > 0 ? `${pending} pending` : 'Schema is up to date');
+        } else if (command === 'up') {
+            const applied = await dbMigrations.runMigrations(db);
+            console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'Schema is up to date');
+        } else {
+            usage();
+        }
+    } finally {
+        db.close();
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
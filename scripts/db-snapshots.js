@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * List and restore database snapshots in the configured backup storage
+ * (DB_BACKUP_BACKEND and its settings, see storage-backends.js)
+ *
+ *   node scripts/db-snapshots.js list
+ *   node scripts/db-snapshots.js restore [name]
+ *
+ * restore takes the newest snapshot unless one is named and writes it to DB_PATH; the file it
+ * replaces is kept beside it as <DB_PATH>.before-restore. Stop the server before restoring.
+ */
+
+const path = require('path');
+const dbStorage = require('../db-storage');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'game_data.db');
+
+function usage() {
+    console.log('Usage: db-snapshots.js list | restore [name]');
+    process.exit(1);
+}
+
+async function main() {
+    const [command, arg] = process.argv.slice(2);
+    if (!command) usage();
+
+    const storage = dbStorage.storageFromEnv();
+    if (!storage) {
+        throw new Error('No backup storage configured (set DB_BACKUP_BACKEND or GCS_BUCKET)');
+    }
+
+    if (command === 'list') {
+        const snapshots = await storage.listSnapshots();
+        if (snapshots.length === 0) console.log(`No snapshots in ${storage.description}`);
+        snapshots.forEach(name => console.log(name));
+    } else if (command === 'restore') {
+        const fileName = arg || (await storage.listSnapshots())[0];
+        if (!fileName) throw new Error(`No snapshots in ${storage.description}`);
+
+        // A copy of the main file alone would miss writes still in the -wal file restoring removes
+        const backupPath = `${dbPath}.before-restore`;
+        if (await dbStorage.backupDatabase(dbPath, backupPath)) {
+            console.log(`Existing database copied to ${backupPath}`);
+        }
+
+        await storage.restoreSnapshot(fileName, dbPath);
+        console.log(`Restored ${fileName} to ${dbPath}`);
+    } else {
+        usage();
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
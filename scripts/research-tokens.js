@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Manage researcher API tokens for the export routes
+ *
+ *   node scripts/research-tokens.js create <label>
+ *   node scripts/research-tokens.js list
+ *   node scripts/research-tokens.js revoke <id>
+ */
+
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const researcherAuth = require('../researcher-auth');
+const dbMigrations = require('../db-migrations');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'game_data.db');
+
+function usage() {
+    console.log('Usage: research-tokens.js create <label> | list | revoke <id>');
+    process.exit(1);
+}
+
+async function main() {
+    const [command, arg] = process.argv.slice(2);
+    if (!command) usage();
+
+    const db = new sqlite3.Database(dbPath);
+    try {
+        await dbMigrations.runMigrations(db);
+
+        if (command === 'create') {
+            if (!arg) usage();
+            const { id, label, token } = await researcherAuth.createToken(db, arg);
+            console.log(`Created token ${id} for "${label}". Store it now; it cannot be shown again:`);
+            console.log(token);
+        } else if (command === 'list') {
+            const tokens = await researcherAuth.listTokens(db);
+            if (tokens.length === 0) console.log('No tokens');
+            tokens.forEach(t => {
+                const status = t.revoked_at ? `revoked ${t.revoked_at}` : 'active';
+                console.log(`${t.id}\t${t.label}\t${t.source}\t${status}\tlast used ${t.last_used_at || 'never'}`);
+            });
+        } else if (command === 'revoke') {
+            const tokenId = parseInt(arg, 10);
+            if (!Number.isInteger(tokenId)) usage();
+            const revoked = await researcherAuth.revokeToken(db, tokenId);
+            console.log(revoked ? `Token ${tokenId} revoked` : `Token ${tokenId} not found or already revoked`);
+        } else {
+            usage();
+        }
+    } finally {
+        db.close();
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
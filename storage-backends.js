@@ -0,0 +1,224 @@
+/**
+ * Storage backends for database snapshots
+ * Each backend stores files under names like "snapshots/game_data-<timestamp>.db" and offers the
+ * same five operations: list(prefix), exists(name), upload(localPath, name), download(name, localPath)
+ * and remove(name). The backend is chosen by DB_BACKUP_BACKEND:
+ *
+ *   local  DB_BACKUP_DIR                       a directory on this machine or a mounted share
+ *   s3     S3_BUCKET, S3_ENDPOINT, S3_REGION,  any S3-compatible bucket; credentials come from the
+ *          S3_FORCE_PATH_STYLE                 usual AWS_* variables. Needs @aws-sdk/client-s3
+ *                                              (an optional dependency)
+ *   gcs    GCS_BUCKET or GOOGLE_CLOUD_PROJECT  Google Cloud Storage. Needs @google-cloud/storage
+ *
+ * Without DB_BACKUP_BACKEND, GCS is used when GCS_BUCKET or GOOGLE_CLOUD_PROJECT is set, as before.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { requireOptional } = require('./optional-require');
+
+const BACKENDS = ['local', 's3', 'gcs'];
+
+class LocalBackend {
+    constructor({ directory }) {
+        this.directory = path.resolve(directory);
+        this.description = `local directory ${this.directory}`;
+    }
+
+    filePath(name) {
+        return path.join(this.directory, ...name.split('/'));
+    }
+
+    async list(prefix) {
+        const directory = path.dirname(this.filePath(prefix));
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const base = path.posix.dirname(prefix);
+        return entries
+            .map(entry => base === '.' ? entry : `${base}/${entry}`)
+            .filter(name => name.startsWith(prefix) && !name.endsWith('.partial'));
+    }
+
+    async exists(name) {
+        try {
+            await fs.promises.access(this.filePath(name));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Copy to a temp name first so a half-written backup never carries a snapshot's name
+    async upload(localPath, name) {
+        const target = this.filePath(name);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.copyFile(localPath, `${target}.partial`);
+        await fs.promises.rename(`${target}.partial`, target);
+    }
+
+    async download(name, localPath) {
+        await fs.promises.copyFile(this.filePath(name), localPath);
+    }
+
+    async remove(name) {
+        await fs.promises.rm(this.filePath(name), { force: true });
+    }
+}
+
+class S3Backend {
+    constructor({ bucket, endpoint, region, forcePathStyle }) {
+        this.sdk = requireOptional('@aws-sdk/client-s3', 'The s3 backup backend');
+        this.bucket = bucket;
+        this.client = new this.sdk.S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle: !!forcePathStyle
+        });
+        this.description = `S3 bucket ${bucket}${endpoint ? ` at ${endpoint}` : ''}`;
+    }
+
+    async list(prefix) {
+        const { ListObjectsV2Command } = this.sdk;
+        const names = [];
+        let continuationToken;
+        do {
+            const page = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+            (page.Contents || []).forEach(object => names.push(object.Key));
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return names;
+    }
+
+    async exists(name) {
+        const { HeadObjectCommand } = this.sdk;
+        try {
+            await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: name }));
+            return true;
+        } catch (error) {
+            if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return false;
+            throw error;
+        }
+    }
+
+    async upload(localPath, name) {
+        const { PutObjectCommand } = this.sdk;
+        const { size } = await fs.promises.stat(localPath);
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: name,
+            Body: fs.createReadStream(localPath),
+            ContentLength: size,
+            ContentType: 'application/x-sqlite3'
+        }));
+    }
+
+    async download(name, localPath) {
+        const { GetObjectCommand } = this.sdk;
+        const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: name }));
+        await pipeline(object.Body, fs.createWriteStream(localPath));
+    }
+
+    async remove(name) {
+        const { DeleteObjectCommand } = this.sdk;
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: name }));
+    }
+}
+
+class GcsBackend {
+    constructor({ bucket }) {
+        const { Storage } = requireOptional('@google-cloud/storage', 'The gcs backup backend');
+        this.bucket = new Storage().bucket(bucket);
+        this.description = `Cloud Storage bucket ${bucket}`;
+    }
+
+    async list(prefix) {
+        const [files] = await this.bucket.getFiles({ prefix });
+        return files.map(file => file.name);
+    }
+
+    async exists(name) {
+        const [exists] = await this.bucket.file(name).exists();
+        return exists;
+    }
+
+    async upload(localPath, name) {
+        await this.bucket.upload(localPath, {
+            destination: name,
+            metadata: {
+                contentType: 'application/x-sqlite3',
+            },
+        });
+    }
+
+    async download(name, localPath) {
+        await this.bucket.file(name).download({ destination: localPath });
+    }
+
+    async remove(name) {
+        await this.bucket.file(name).delete();
+    }
+}
+
+/**
+ * Read the backend settings from the environment; returns { config } (config is null when no
+ * backend is configured) or { error }
+ */
+function configFromEnv(env = process.env) {
+    const backend = env.DB_BACKUP_BACKEND || ((env.GCS_BUCKET || env.GOOGLE_CLOUD_PROJECT) ? 'gcs' : null);
+    if (!backend) return { config: null };
+
+    if (!BACKENDS.includes(backend)) {
+        return { error: `Unknown DB_BACKUP_BACKEND "${backend}" (expected ${BACKENDS.join(', ')})` };
+    }
+
+    if (backend === 'local') {
+        if (!env.DB_BACKUP_DIR) return { error: 'DB_BACKUP_DIR is required for the local backup backend' };
+        return { config: { backend, directory: env.DB_BACKUP_DIR } };
+    }
+
+    if (backend === 's3') {
+        if (!env.S3_BUCKET) return { error: 'S3_BUCKET is required for the s3 backup backend' };
+        return {
+            config: {
+                backend,
+                bucket: env.S3_BUCKET,
+                endpoint: env.S3_ENDPOINT,
+                region: env.S3_REGION,
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+            }
+        };
+    }
+
+    const bucket = env.GCS_BUCKET || (env.GOOGLE_CLOUD_PROJECT && `${env.GOOGLE_CLOUD_PROJECT}-category-game-db`);
+    if (!bucket) return { error: 'GCS_BUCKET or GOOGLE_CLOUD_PROJECT is required for the gcs backup backend' };
+    return { config: { backend, bucket } };
+}
+
+/**
+ * Build a backend from a config returned by configFromEnv; throws MODULE_NOT_FOUND, naming the
+ * package to install, when the backend's client library is not installed
+ */
+function createBackend(config) {
+    if (config.backend === 'local') return new LocalBackend(config);
+    if (config.backend === 's3') return new S3Backend(config);
+    return new GcsBackend(config);
+}
+
+module.exports = {
+    BACKENDS,
+    LocalBackend,
+    S3Backend,
+    GcsBackend,
+    configFromEnv,
+    createBackend
+};
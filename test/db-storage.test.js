@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const dbStorage = require('../db-storage');
+const storageBackends = require('../storage-backends');
+
+const quiet = { log() {}, warn() {}, error: console.error };
+
+let hasS3Client = true;
+try {
+    require.resolve('@aws-sdk/client-s3');
+} catch (error) {
+    hasS3Client = false;
+}
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'category-game-storage-test-'));
+}
+
+function open(dbPath) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, err => err ? reject(err) : resolve(db));
+    });
+}
+
+function exec(db, sql) {
+    return new Promise((resolve, reject) => db.exec(sql, err => err ? reject(err) : resolve()));
+}
+
+function all(db, sql) {
+    return new Promise((resolve, reject) => db.all(sql, (err, rows) => err ? reject(err) : resolve(rows)));
+}
+
+function close(db) {
+    return new Promise(resolve => db.close(() => resolve()));
+}
+
+async function readWords(dbPath) {
+    const db = await open(dbPath);
+    const rows = await all(db, 'SELECT word FROM words ORDER BY id');
+    await close(db);
+    return rows.map(row => row.word);
+}
+
+// Strip the aws-chunked framing the SDK wraps streamed uploads in: <hex size>\r\n<data>\r\n ...
+function decodeAwsChunked(body) {
+    const chunks = [];
+    let offset = 0;
+    for (;;) {
+        const lineEnd = body.indexOf('\r\n', offset);
+        const size = parseInt(body.slice(offset, lineEnd).toString().split(';')[0], 16);
+        if (!size) break;
+        chunks.push(body.slice(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(chunks);
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * A stand-in for an S3-compatible service, path-style, serving the calls S3Backend makes:
+ * ListObjectsV2 (one key per page, so paging is exercised), HeadObject, PutObject, GetObject
+ * and DeleteObject
+ */
+function startS3StandIn(bucket) {
+    const objects = new Map();
+    const server = http.createServer((req, res) => {
+        const body = [];
+        req.on('data', chunk => body.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const [, requestBucket, ...keyParts] = url.pathname.split('/');
+            const key = decodeURIComponent(keyParts.join('/'));
+            if (requestBucket !== bucket) {
+                res.writeHead(404).end();
+                return;
+            }
+
+            if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const after = url.searchParams.get('continuation-token') || '';
+                const keys = Array.from(objects.keys()).filter(name => name.startsWith(prefix) && name > after).sort();
+                const page = keys.slice(0, 1);
+                const truncated = keys.length > page.length;
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">
+<Name>${bucket}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>
+<IsTruncated>${truncated}</IsTruncated>${truncated ? `<NextContinuationToken>${escapeXml(page[0])}</NextContinuationToken>` : ''}
+${page.map(name => `<Contents><Key>${escapeXml(name)}</Key><Size>${objects.get(name).length}</Size></Contents>`).join('')}
+</ListBucketResult>`);
+            } else if (req.method === 'PUT') {
+                const data = Buffer.concat(body);
+                const chunked = (req.headers['content-encoding'] || '').includes('aws-chunked');
+                objects.set(key, chunked ? decodeAwsChunked(data) : data);
+                res.writeHead(200, { ETag: '"stand-in"' }).end();
+            } else if ((req.method === 'GET' || req.method === 'HEAD') && objects.has(key)) {
+                const data = objects.get(key);
+                res.writeHead(200, { 'Content-Length': data.length, 'Content-Type': 'application/x-sqlite3' });
+                res.end(req.method === 'GET' ? data : undefined);
+            } else if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.writeHead(204).end();
+            } else {
+                res.writeHead(404, { 'Content-Type': 'application/xml' });
+                res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code></Error>');
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, objects })));
+}
+
+test('the pre-restore backup keeps writes still in the write-ahead log', async () => {
+    const dir = tempDir();
+    const dbPath = path.join(dir, 'game.db');
+    const backupPath = `${dbPath}.before-restore`;
+
+    // The writer stays open with checkpoints off, so its rows are only in the -wal file
+    const writer = await open(dbPath);
+    await exec(writer, `
+        PRAGMA journal_mode = WAL;
+        PRAGMA wal_autocheckpoint = 0;
+        CREATE TABLE words (id INTEGER PRIMARY KEY, word TEXT);
+        INSERT INTO words (word) VALUES ('apple'), ('pear');
+    `);
+    assert.ok(fs.statSync(`${dbPath}-wal`).size > 0);
+
+    assert.strictEqual(await dbStorage.backupDatabase(dbPath, backupPath), true);
+    await close(writer);
+    assert.deepStrictEqual(await readWords(backupPath), ['apple', 'pear']);
+
+    assert.strictEqual(await dbStorage.backupDatabase(path.join(dir, 'missing.db'), backupPath), false);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('snapshots round-trip through the s3 backend', { skip: !hasS3Client && '@aws-sdk/client-s3 is not installed' }, async () => {
+    const dir = tempDir();
+    const { server, objects } = await startS3StandIn('game-backups');
+    const savedEnv = { ...process.env };
+    Object.assign(process.env, { AWS_ACCESS_KEY_ID: 'test', AWS_SECRET_ACCESS_KEY: 'test' });
+
+    try {
+        const { config } = storageBackends.configFromEnv({
+            DB_BACKUP_BACKEND: 's3',
+            S3_BUCKET: 'game-backups',
+            S3_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+            S3_FORCE_PATH_STYLE: 'true'
+        });
+        const storage = new dbStorage.DatabaseStorage(storageBackends.createBackend(config), { keep: 2, logger: quiet });
+
+        const db = await open(path.join(dir, 'game.db'));
+        await exec(db, 'CREATE TABLE words (id INTEGER PRIMARY KEY, word TEXT)');
+        for (const word of ['apple', 'pear', 'plum']) {
+            await exec(db, `INSERT INTO words (word) VALUES ('${word}')`);
+            assert.strictEqual(await storage.uploadDatabase(db), true);
+            // Snapshot names carry the time to the millisecond
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        await close(db);
+
+        // Only the newest two are kept
+        const snapshots = await storage.listSnapshots();
+        assert.strictEqual(snapshots.length, 2);
+        assert.deepStrictEqual(Array.from(objects.keys()).sort().reverse(), snapshots);
+
+        const restoredPath = path.join(dir, 'restored.db');
+        assert.strictEqual(await storage.downloadDatabase(restoredPath), true);
+        assert.deepStrictEqual(await readWords(restoredPath), ['apple', 'pear', 'plum']);
+
+        await storage.restoreSnapshot(snapshots[1], restoredPath);
+        assert.deepStrictEqual(await readWords(restoredPath), ['apple', 'pear']);
+    } finally {
+        process.env = savedEnv;
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeExemplar, groupSubmissions } = require('../exemplar-matching');
+
+test('plurals of words ending in -se merge with their singular', () => {
+    for (const [plural, singular] of [['horses', 'horse'], ['roses', 'rose'], ['houses', 'house'], ['prizes', 'prize']]) {
+        assert.strictEqual(normalizeExemplar(plural), normalizeExemplar(singular), plural);
+        assert.strictEqual(normalizeExemplar(plural), singular);
+    }
+});
+
+test('-es plurals after a sibilant lose the whole suffix', () => {
+    for (const [plural, singular] of [['glasses', 'glass'], ['boxes', 'box'], ['churches', 'church'], ['dishes', 'dish'], ['buzzes', 'buzz']]) {
+        assert.strictEqual(normalizeExemplar(plural), singular);
+    }
+});
+
+test('exceptions keep words ending in s apart from the words they look like plurals of', () => {
+    assert.notStrictEqual(normalizeExemplar('news'), normalizeExemplar('new'));
+    assert.strictEqual(normalizeExemplar('news'), 'news');
+    assert.strictEqual(normalizeExemplar('series'), 'series');
+    assert.strictEqual(normalizeExemplar('buses'), normalizeExemplar('bus'));
+    assert.strictEqual(normalizeExemplar('lenses'), normalizeExemplar('lens'));
+    assert.strictEqual(normalizeExemplar('movies'), normalizeExemplar('movie'));
+});
+
+test('regular plurals, case, articles and punctuation still merge', () => {
+    assert.strictEqual(normalizeExemplar('The Chairs!'), 'chair');
+    assert.strictEqual(normalizeExemplar('berries'), 'berry');
+    assert.strictEqual(normalizeExemplar('glass'), 'glass');
+    assert.strictEqual(normalizeExemplar('cactus'), 'cactus');
+    assert.strictEqual(normalizeExemplar('iris'), 'iris');
+});
+
+test('groupSubmissions merges a plural with its singular into one item', () => {
+    const items = groupSubmissions([
+        { exemplar: 'Horse', playerId: 'a', nickname: 'A', dbSubmissionId: 1 },
+        { exemplar: 'horses', playerId: 'b', nickname: 'B', dbSubmissionId: 2 },
+        { exemplar: 'news', playerId: 'c', nickname: 'C', dbSubmissionId: 3 },
+        { exemplar: 'new', playerId: 'd', nickname: 'D', dbSubmissionId: 4 }
+    ]);
+    assert.deepStrictEqual(items.map(item => item.playerIds), [['a', 'b'], ['c'], ['d']]);
+    assert.strictEqual(items[0].dbSubmissionId, 1);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { io: connect } = require('socket.io-client');
+const { createGameServer } = require('../game-server');
+const { FakeClock } = require('../clock');
+const { BotPlayer } = require('../bot-player');
+const { createStrategy } = require('../bot-strategies');
+
+const ROUNDS = 10;
+const quiet = { log() {}, warn() {}, error: console.error };
+
+function query(dbPath, sql) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY);
+        db.all(sql, (err, rows) => {
+            db.close();
+            err ? reject(err) : resolve(rows);
+        });
+    });
+}
+
+test('a full 10-round game fast-forwards on a FakeClock', { timeout: 120 * 1000 }, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'category-game-test-'));
+    const dbPath = path.join(dir, 'game.db');
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    const clock = new FakeClock(start);
+    const gameServer = createGameServer({ dbPath, port: 0, storage: null, logger: quiet, instanceId: 'test', clock });
+    const { port } = await gameServer.start();
+    const url = `http://localhost:${port}`;
+
+    const host = connect(url, { transports: ['websocket'], forceNew: true });
+    const bots = [];
+    try {
+        const roomCode = await new Promise(resolve => {
+            host.once('room-created', ({ roomCode }) => {
+                host.emit('join-display', { roomCode, role: 'controller' });
+                resolve(roomCode);
+            });
+            host.emit('create-room', {});
+        });
+
+        const scoreboards = [];
+        host.on('show-round-scoreboard', scoreboard => scoreboards.push(scoreboard));
+
+        for (let i = 1; i <= 4; i++) {
+            const bot = new BotPlayer({
+                url,
+                roomCode,
+                nickname: `Bot ${i}`,
+                clock,
+                logger: quiet,
+                strategy: createStrategy('random', { minDelayMs: 500, maxDelayMs: 3000 })
+            });
+            bots.push(await bot.join());
+        }
+
+        host.emit('set-max-rounds', { maxRounds: ROUNDS });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        host.emit('start-lobby-game');
+
+        // One game second per step, with the real event loop given a moment to deliver messages
+        const realStart = Date.now();
+        for (let step = 0; step < 3 * 60 * 60 && !scoreboards.some(s => s.isComplete); step++) {
+            await clock.advance(1000);
+            await new Promise(resolve => setTimeout(resolve, 2));
+        }
+
+        const final = scoreboards.find(s => s.isComplete);
+        assert.ok(final, 'the game completed');
+        assert.strictEqual(final.round, ROUNDS);
+        assert.strictEqual(final.players.length, 4);
+        // Minutes of game time pass in a fraction of that
+        assert.ok(clock.now() - start > 5 * 60 * 1000);
+        assert.ok(Date.now() - realStart < clock.now() - start);
+    } finally {
+        bots.forEach(bot => bot.close());
+        host.close();
+        await gameServer.stop();
+    }
+
+    const [game] = await query(dbPath, 'SELECT status, started_at, ended_at FROM games');
+    assert.strictEqual(game.status, 'completed');
+    assert.ok(Date.parse(game.ended_at) - Date.parse(game.started_at) > 5 * 60 * 1000);
+
+    const rounds = await query(dbPath, `SELECT round_number, results_shown_at FROM rounds
+        WHERE skipped_at IS NULL ORDER BY round_number`);
+    assert.deepStrictEqual(rounds.map(round => round.round_number), Array.from({ length: ROUNDS }, (_, i) => i + 1));
+    assert.ok(rounds.every(round => round.results_shown_at), 'every round showed its results');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,258 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { io: connect } = require('socket.io-client');
+const { createGameServer } = require('../game-server');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+let hasRedisPackages = true;
+try {
+    require.resolve('redis');
+    require.resolve('@socket.io/redis-adapter');
+} catch (error) {
+    hasRedisPackages = false;
+}
+
+// Read one RESP array of bulk strings from buffer at offset; null until all of it has arrived
+function parseCommand(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd < 0) return null;
+    const count = parseInt(buffer.toString('latin1', offset + 1, lineEnd), 10);
+    const args = [];
+    let position = lineEnd + 2;
+    for (let i = 0; i < count; i++) {
+        const sizeEnd = buffer.indexOf('\r\n', position);
+        if (sizeEnd < 0) return null;
+        const size = parseInt(buffer.toString('latin1', position + 1, sizeEnd), 10);
+        if (buffer.length < sizeEnd + 2 + size + 2) return null;
+        args.push(buffer.subarray(sizeEnd + 2, sizeEnd + 2 + size));
+        position = sizeEnd + 2 + size + 2;
+    }
+    return { args, next: position };
+}
+
+function encode(value) {
+    if (value === null) return Buffer.from('$-1\r\n');
+    if (typeof value === 'number') return Buffer.from(`:${value}\r\n`);
+    if (value instanceof Error) return Buffer.from(`-ERR ${value.message}\r\n`);
+    if (Array.isArray(value)) return Buffer.concat([Buffer.from(`*${value.length}\r\n`), ...value.map(encode)]);
+    if (value && value.status) return Buffer.from(`+${value.status}\r\n`);
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n')]);
+}
+
+function globToRegExp(pattern) {
+    return new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * A stand-in for a Redis server, speaking RESP2 and serving the commands the room store and the
+ * Socket.IO Redis adapter use: keys with expiry (SET NX/PX, GET, EXISTS, DEL, PEXPIRE, SCAN) and
+ * pub/sub (PUBLISH, SUBSCRIBE, PSUBSCRIBE, PUBSUB NUMSUB)
+ */
+function startRedisStandIn() {
+    const data = new Map(); // key -> { value, expiresAt }
+    const clients = new Set();
+
+    function lookup(key) {
+        const entry = data.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) data.delete(key);
+        return data.get(key) || null;
+    }
+
+    function publish(channel, message) {
+        let receivers = 0;
+        for (const client of clients) {
+            if (client.channels.has(channel)) {
+                client.socket.write(encode(['message', channel, message]));
+                receivers++;
+            }
+            for (const pattern of client.patterns) {
+                if (globToRegExp(pattern).test(channel)) {
+                    client.socket.write(encode(['pmessage', pattern, channel, message]));
+                    receivers++;
+                }
+            }
+        }
+        return receivers;
+    }
+
+    function subscribe(client, kind, names) {
+        const set = kind.startsWith('p') ? client.patterns : client.channels;
+        return names.map(name => {
+            if (kind.endsWith('unsubscribe')) set.delete(name);
+            else set.add(name);
+            return [kind, name, client.channels.size + client.patterns.size];
+        });
+    }
+
+    function handle(client, args) {
+        const name = args[0].toString().toUpperCase();
+        const text = args.slice(1).map(arg => arg.toString());
+        switch (name) {
+        case 'PING': return { status: 'PONG' };
+        case 'CLIENT':
+        case 'SELECT': return { status: 'OK' };
+        case 'QUIT':
+            client.socket.end(encode({ status: 'OK' }));
+            return undefined;
+        case 'GET': {
+            const entry = lookup(text[0]);
+            return entry ? entry.value : null;
+        }
+        case 'SET': {
+            const [key] = text;
+            const options = text.slice(2).map(option => option.toUpperCase());
+            if (options.includes('NX') && lookup(key)) return null;
+            const px = options.indexOf('PX');
+            data.set(key, { value: args[2], expiresAt: px >= 0 ? Date.now() + parseInt(text[px + 2], 10) : null });
+            return { status: 'OK' };
+        }
+        case 'EXISTS': return text.filter(key => lookup(key)).length;
+        case 'DEL': return text.filter(key => lookup(key) && data.delete(key)).length;
+        case 'PEXPIRE': {
+            const entry = lookup(text[0]);
+            if (!entry) return 0;
+            entry.expiresAt = Date.now() + parseInt(text[1], 10);
+            return 1;
+        }
+        case 'SCAN': {
+            const match = text.indexOf('MATCH');
+            const pattern = globToRegExp(match >= 0 ? text[match + 1] : '*');
+            return ['0', Array.from(data.keys()).filter(key => lookup(key) && pattern.test(key))];
+        }
+        case 'PUBLISH': return publish(text[0], args[2]);
+        case 'SUBSCRIBE':
+        case 'PSUBSCRIBE':
+        case 'UNSUBSCRIBE':
+        case 'PUNSUBSCRIBE':
+            subscribe(client, name.toLowerCase(), text).forEach(reply => client.socket.write(encode(reply)));
+            return undefined;
+        case 'PUBSUB': {
+            if (text[0].toUpperCase() !== 'NUMSUB') return new Error('unsupported PUBSUB subcommand');
+            return text.slice(1).flatMap(channel =>
+                [channel, Array.from(clients).filter(c => c.channels.has(channel)).length]);
+        }
+        default: return new Error(`unknown command '${name}'`);
+        }
+    }
+
+    const server = net.createServer(socket => {
+        const client = { socket, channels: new Set(), patterns: new Set() };
+        clients.add(client);
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            while (buffer.length > 0 && (parsed = parseCommand(buffer, 0))) {
+                buffer = buffer.subarray(parsed.next);
+                const reply = handle(client, parsed.args);
+                if (reply !== undefined) socket.write(encode(reply));
+            }
+        });
+        socket.on('close', () => clients.delete(client));
+        socket.on('error', () => {});
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        data,
+        close: () => new Promise(done => {
+            clients.forEach(client => client.socket.destroy());
+            server.close(() => done());
+        })
+    })));
+}
+
+function once(socket, event) {
+    return new Promise(resolve => socket.once(event, resolve));
+}
+
+// Send reconnect-player and resolve with whichever answer comes back
+function reconnect(socket, roomCode, playerId) {
+    return new Promise(resolve => {
+        socket.once('reconnect-success', data => resolve({ event: 'reconnect-success', ...data }));
+        socket.once('reconnect-error', data => resolve({ event: 'reconnect-error', ...data }));
+        socket.emit('reconnect-player', { roomCode, playerId });
+    });
+}
+
+function query(dbPath, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY);
+        db.all(sql, params, (err, rows) => {
+            db.close();
+            err ? reject(err) : resolve(rows);
+        });
+    });
+}
+
+test('instances sharing a database take over each other\'s rooms; one with another database does not',
+    { skip: !hasRedisPackages && 'redis and @socket.io/redis-adapter are not installed', timeout: 60 * 1000 }, async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'category-game-instances-test-'));
+        const sharedDbPath = path.join(dir, 'shared.db');
+        const redis = await startRedisStandIn();
+        const servers = {};
+        const sockets = [];
+        const connectTo = name => {
+            const socket = connect(`http://localhost:${servers[name].port}`, { transports: ['websocket'], forceNew: true });
+            sockets.push(socket);
+            return socket;
+        };
+
+        try {
+            // a and b share a database; c has one of its own
+            for (const [name, dbPath] of [['a', sharedDbPath], ['b', sharedDbPath], ['c', path.join(dir, 'other.db')]]) {
+                const gameServer = createGameServer({ dbPath, port: 0, storage: null, logger: quiet, instanceId: name, redisUrl: redis.url });
+                servers[name] = { gameServer, ...(await gameServer.start()) };
+            }
+
+            const host = connectTo('a');
+            const { roomCode, controllerKey } = await new Promise(resolve => {
+                host.once('room-created', resolve);
+                host.emit('create-room', {});
+            });
+            host.emit('join-display', { roomCode, role: 'controller', controllerKey });
+            assert.strictEqual(redis.data.get(`category-game:room:${roomCode}:owner`).value.toString(), 'a');
+
+            // A player connected to b joins the room a runs
+            const player = connectTo('b');
+            const joined = once(player, 'join-success');
+            player.emit('join-room', { roomCode, nickname: 'Pat' });
+            const { playerId } = await joined;
+
+            const [game] = await query(sharedDbPath, 'SELECT id FROM games WHERE room_code = ?', [roomCode]);
+            const [row] = await query(sharedDbPath, 'SELECT game_id FROM players WHERE player_id = ?', [playerId]);
+            assert.strictEqual(row.game_id, game.id);
+
+            // a goes away and its lease on the room lapses
+            await servers.a.gameServer.stop();
+            redis.data.delete(`category-game:room:${roomCode}:owner`);
+
+            // c would point the room's game ids into the wrong database, so it leaves the room alone
+            const refused = await reconnect(connectTo('c'), roomCode, playerId);
+            assert.strictEqual(refused.event, 'reconnect-error');
+            assert.strictEqual(refused.message, 'Room not found');
+            assert.ok(redis.data.has(`category-game:room:${roomCode}:snapshot`));
+            assert.strictEqual(servers.c.gameServer.rooms.has(roomCode), false);
+
+            // b shares a's database and carries the room on
+            const reconnected = await reconnect(connectTo('b'), roomCode, playerId);
+            assert.strictEqual(reconnected.event, 'reconnect-success');
+            assert.strictEqual(reconnected.nickname, 'Pat');
+            assert.strictEqual(redis.data.get(`category-game:room:${roomCode}:owner`).value.toString(), 'b');
+            assert.strictEqual(servers.b.gameServer.rooms.get(roomCode).dbGameId, game.id);
+        } finally {
+            sockets.forEach(socket => socket.close());
+            for (const { gameServer } of Object.values(servers)) {
+                await gameServer.stop();
+            }
+            await redis.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });